@@ -1,6 +1,148 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Tooltip } from "react-tooltip";
 import "react-tooltip/dist/react-tooltip.css";
+import {
+  DOUBLE_PLAY_PRICE,
+  MAX_ATTEMPTS_PER_LINE,
+  MAIN_COUNT,
+  MAIN_MAX,
+  MAX_LINES,
+  POWER_PLAY_PRICE,
+  TICKET_PRICE,
+  analyzeDraws,
+  clampInt,
+  clampNumber,
+  STRATEGIES,
+  generatePicks,
+  isBlend,
+} from "./engine/generator.js";
+import {
+  BLEND_COMPONENTS,
+  blendPercents,
+  encodeBlend,
+  normalizeBlend,
+} from "./engine/blend.js";
+import { BACKTEST_MAX_LINES } from "./engine/backtest.js";
+import { planBudget } from "./engine/budget.js";
+import {
+  DEFAULT_CONSTRAINTS,
+  MAX_SUM,
+  MIN_SUM,
+  hasConstraints,
+  validateConstraints,
+} from "./engine/constraints.js";
+import { comboRankings } from "./engine/cooccurrence.js";
+import { coverageStats } from "./engine/coverage.js";
+import { isoDay } from "./engine/dates.js";
+import {
+  CURRENT_ERA,
+  DEFAULT_HISTORY,
+  GAME_ERAS,
+  describeHistory,
+  filterDrawsByHistory,
+  historyRange,
+  isOutOfMatrix,
+  normalizeHistory,
+} from "./engine/eras.js";
+import { validateExclusions } from "./engine/exclusions.js";
+import {
+  DEFAULT_EV_SETTINGS,
+  TAX_FREE_PRIZE,
+  breakEvenJackpot,
+  expectedValue,
+} from "./engine/expectedValue.js";
+import {
+  SLIP_MAIN_ROWS,
+  SLIP_PB_ROWS,
+  picksToCsv,
+  picksToJson,
+  playSlips,
+} from "./engine/exportPicks.js";
+import { overdueRatio } from "./engine/gaps.js";
+import { DEFAULT_HISTORY_SINCE, lineHistory } from "./engine/lineHistory.js";
+import {
+  PERSONAL_METHODS,
+  derivePersonalNumbers,
+  splitEntries,
+} from "./engine/personal.js";
+import { popularityLabel, popularityScore } from "./engine/popularity.js";
+import {
+  indexDrawsByDate,
+  newTicketResults,
+  ticketStatus,
+} from "./engine/ticketResults.js";
+import {
+  MAX_TICKET_DRAWS,
+  allTags,
+  drawDatesFrom,
+  newTicketId,
+  parseTags,
+  ticketCost,
+} from "./engine/tickets.js";
+import { parseLooseLine, parseTicketImport } from "./engine/ticketImport.js";
+import {
+  PRIZE_TIERS,
+  computeDoublePlayPrize,
+  computePrize,
+  getOdds,
+  scoreLine,
+  tierLabel,
+  totalPrizes,
+} from "./engine/prizes.js";
+import { randomSeed } from "./engine/random.js";
+import {
+  DEFAULT_RECENCY,
+  MAX_RECENT_DAYS,
+  MAX_RECENT_DRAWS,
+  describeRecency,
+  normalizeRecency,
+  recencyMode,
+} from "./engine/recency.js";
+import {
+  WHEEL_GUARANTEES,
+  WHEEL_MAX_LINES,
+  WHEEL_MAX_POOL,
+  binomial,
+  buildWheel,
+  validateWheel,
+} from "./engine/wheel.js";
+import {
+  decodeBatchParams,
+  encodeBatchParams,
+  latestDrawDate,
+} from "./engine/share.js";
+import { CancelledError, runEngineJob } from "./engineClient.js";
+import { loadJson, saveJson } from "./storage.js";
+import {
+  deleteTicket,
+  listTickets,
+  putTicket,
+  updateTicketResults,
+} from "./ticketStore.js";
+
+const STRATEGY_NAMES = {
+  balanced: "Balanced",
+  hot: "Hot",
+  "recent-hot": "Recent Hot",
+  "cold-recently": "Cold Recently",
+  cold: "Cold",
+  "even-spread": "Even Spread",
+  overdue: "Overdue",
+  "hot-pairs": "Hot Pairs",
+  "cold-pairs": "Cold Pairs",
+  unpopular: "Unpopular",
+  uniform: "Uniform",
+};
+
+// Batches bigger than this skip the ball-spin animation.
+const ANIMATE_MAX_LINES = 50;
+// Lines rendered at a time; big batches get a "Show more" button.
+const PICKS_PAGE_SIZE = 100;
+
+const CUSTOM_STRATEGIES_KEY = "powerball.customStrategies";
+const PERSONAL_PROFILES_KEY = "powerball.personalProfiles";
+// Id for a blend that arrived via a shared link and isn't saved locally.
+const SHARED_BLEND_ID = "shared";
 
 const PowerballGenerator = () => {
   const rawData = useMemo(
@@ -19,12 +161,6 @@ const PowerballGenerator = () => {
     []
   );
 
-  const clampInt = (value, min, max) => {
-    const n = Number.parseInt(value, 10);
-    if (Number.isNaN(n)) return min;
-    return Math.max(min, Math.min(max, n));
-  };
-
   const toggleInSet = (arr, value) => {
     return arr.includes(value)
       ? arr.filter((n) => n !== value)
@@ -56,11 +192,107 @@ const PowerballGenerator = () => {
       .filter(Boolean);
   }, [rawData]);
 
+  // A batch shared via URL (?seed=...) waiting to be replayed once draws load.
+  const [sharedBatch, setSharedBatch] = useState(() =>
+    typeof window !== "undefined"
+      ? decodeBatchParams(window.location.search)
+      : null
+  );
+
   const [draws, setDraws] = useState(() => fallbackDraws);
+  const [drawsLoaded, setDrawsLoaded] = useState(false);
   const [drawsUpdatedAt, setDrawsUpdatedAt] = useState(null);
   const [jackpot, setJackpot] = useState(null);
   const [combinationsGenerated, setCombinationsGenerated] = useState(0);
-  const [strategy, setStrategy] = useState("balanced");
+  const [customStrategies, setCustomStrategies] = useState(() => {
+    const stored = loadJson(CUSTOM_STRATEGIES_KEY, []);
+    const saved = (Array.isArray(stored) ? stored : [])
+      .map((s) => ({
+        id: String(s?.id ?? ""),
+        name: String(s?.name ?? "").trim(),
+        blend: normalizeBlend(s?.blend),
+      }))
+      .filter((s) => s.id && s.name && s.blend);
+    const shared = sharedBatch?.strategy;
+    if (
+      isBlend(shared) &&
+      !saved.some((s) => encodeBlend(s.blend) === encodeBlend(shared))
+    ) {
+      saved.push({ id: SHARED_BLEND_ID, name: "Shared blend", blend: shared });
+    }
+    return saved;
+  });
+  // Select value: a built-in strategy name or "custom:<id>".
+  const [strategy, setStrategy] = useState(() => {
+    const shared = sharedBatch?.strategy;
+    if (!isBlend(shared)) return shared ?? "balanced";
+    const match = customStrategies.find(
+      (s) => encodeBlend(s.blend) === encodeBlend(shared)
+    );
+    return `custom:${match?.id ?? SHARED_BLEND_ID}`;
+  });
+  const selectedCustom = strategy.startsWith("custom:")
+    ? customStrategies.find((s) => `custom:${s.id}` === strategy) ?? null
+    : null;
+  // What the engine gets: a built-in name or the selected custom blend.
+  const activeStrategy = strategy.startsWith("custom:")
+    ? selectedCustom?.blend ?? "balanced"
+    : strategy;
+
+  const [showBlendBuilder, setShowBlendBuilder] = useState(false);
+  const [blendName, setBlendName] = useState("");
+  const [blendDraft, setBlendDraft] = useState(() => ({
+    hot: 40,
+    "cold-recently": 30,
+    uniform: 30,
+  }));
+  const draftBlend = normalizeBlend(blendDraft);
+
+  const persistCustomStrategies = (next) => {
+    setCustomStrategies(next);
+    saveJson(
+      CUSTOM_STRATEGIES_KEY,
+      next.filter((s) => s.id !== SHARED_BLEND_ID)
+    );
+  };
+
+  const handleSaveBlend = () => {
+    const name = blendName.trim();
+    if (!name || !draftBlend) return;
+    // Saving under an existing name overwrites that strategy.
+    const existing = customStrategies.find(
+      (s) =>
+        s.id !== SHARED_BLEND_ID && s.name.toLowerCase() === name.toLowerCase()
+    );
+    const entry = {
+      id: existing?.id ?? `c${Date.now().toString(36)}`,
+      name,
+      blend: draftBlend,
+    };
+    persistCustomStrategies(
+      existing
+        ? customStrategies.map((s) => (s.id === entry.id ? entry : s))
+        : [...customStrategies, entry]
+    );
+    setStrategy(`custom:${entry.id}`);
+  };
+
+  const handleEditBlend = () => {
+    if (!selectedCustom) return;
+    setBlendName(
+      selectedCustom.id === SHARED_BLEND_ID ? "" : selectedCustom.name
+    );
+    setBlendDraft(selectedCustom.blend);
+    setShowBlendBuilder(true);
+  };
+
+  const handleDeleteBlend = () => {
+    if (!selectedCustom) return;
+    persistCustomStrategies(
+      customStrategies.filter((s) => s.id !== selectedCustom.id)
+    );
+    setStrategy("balanced");
+  };
   const [totalWinnings, setTotalWinnings] = useState(null);
 
   useEffect(() => {
@@ -83,6 +315,8 @@ const PowerballGenerator = () => {
         setDrawsUpdatedAt(payload?.updatedAt ?? null);
       } catch {
         // fall back to embedded data
+      } finally {
+        if (!cancelled) setDrawsLoaded(true);
       }
     })();
 
@@ -208,254 +442,178 @@ const PowerballGenerator = () => {
     };
   }, []);
 
-  const analysis = useMemo(() => {
-    const mainFreq = {};
-    const pbFreq = {};
-    const mainRecentFreq = {};
-    const pbRecentFreq = {};
-
-    // Get the most recent 36 draws (roughly 90 days: 3 draws/week * 12 weeks)
-    const sortedDraws = [...draws].sort((a, b) => {
-      const aDate = a._drawDateMs ?? 0;
-      const bDate = b._drawDateMs ?? 0;
-      return bDate - aDate; // Most recent first
+  // Which draws feed the analysis: an era id, "all", or "from~to".
+  const [history, setHistory] = useState(
+    () => sharedBatch?.history ?? DEFAULT_HISTORY
+  );
+  const historyMode = history.includes("~") ? "range" : history;
+  const historyError = normalizeHistory(history)
+    ? null
+    : "The start date is after the end date.";
+  // Window for "recent" stats: "36" draws, "90d" days, or "from~to".
+  const [recency, setRecency] = useState(
+    () => sharedBatch?.recency ?? DEFAULT_RECENCY
+  );
+  const recencyError = normalizeRecency(recency)
+    ? null
+    : recencyMode(recency) === "range"
+    ? "The start date is after the end date."
+    : `Use 1–${
+        recencyMode(recency) === "days" ? MAX_RECENT_DAYS : MAX_RECENT_DRAWS
+      } ${recencyMode(recency)}.`;
+  // Analysis runs in the engine worker; the previous result stays on screen
+  // until the new one lands.
+  const [analysis, setAnalysis] = useState(() =>
+    analyzeDraws(fallbackDraws, { history, recency })
+  );
+  useEffect(() => {
+    const job = runEngineJob("analyze", {
+      draws,
+      history,
+      recency: normalizeRecency(recency) ?? DEFAULT_RECENCY,
     });
-    const recentDraws = sortedDraws.slice(0, 36);
-
-    // Calculate overall frequency from all draws
-    draws.forEach((draw) => {
-      draw.main.forEach((n) => {
-        mainFreq[n] = (mainFreq[n] || 0) + 1;
-      });
-
-      const pb = draw.powerball;
-      if (Number.isFinite(pb)) {
-        pbFreq[pb] = (pbFreq[pb] || 0) + 1;
-      }
+    job.promise.then(setAnalysis).catch(() => {
+      // Cancelled by a newer request, or failed: keep the last analysis
     });
+    return job.cancel;
+  }, [draws, history, recency]);
+  const outOfMatrixCount = useMemo(
+    () => filterDrawsByHistory(draws, history).filter(isOutOfMatrix).length,
+    [draws, history]
+  );
 
-    // Calculate recent frequency from most recent 36 draws
-    recentDraws.forEach((draw) => {
-      draw.main.forEach((n) => {
-        mainRecentFreq[n] = (mainRecentFreq[n] || 0) + 1;
+  const [numLines, setNumLines] = useState(() => sharedBatch?.count ?? 5);
+  // Budget planner: a pool of `budgetPeople` putting in `budgetEach` dollars,
+  // spread over `budgetDraws` upcoming draws.
+  const [showBudget, setShowBudget] = useState(false);
+  const [budgetPeople, setBudgetPeople] = useState(1);
+  const [budgetEach, setBudgetEach] = useState(20);
+  const [budgetDraws, setBudgetDraws] = useState(1);
+  const [budgetPowerPlay, setBudgetPowerPlay] = useState(false);
+  const [budgetDoublePlay, setBudgetDoublePlay] = useState(false);
+  // The plan last applied to Number of lines; saving the picks as a ticket
+  // starts from its draws and add-ons.
+  const [appliedBudget, setAppliedBudget] = useState(null);
+  const [randomness, setRandomness] = useState(
+    () => sharedBatch?.randomness ?? 70
+  );
+  const [mainLocked, setMainLocked] = useState(
+    () => sharedBatch?.mainLocked ?? []
+  );
+  const [powerballLocked, setPowerballLocked] = useState(
+    () => sharedBatch?.powerballLocked ?? []
+  );
+  const [mainExcluded, setMainExcluded] = useState(
+    () => sharedBatch?.mainExcluded ?? []
+  );
+  const [powerballExcluded, setPowerballExcluded] = useState(
+    () => sharedBatch?.powerballExcluded ?? []
+  );
+  const [rejectDrawnWhites, setRejectDrawnWhites] = useState(
+    () => sharedBatch?.rejectDrawnWhites ?? false
+  );
+  const [maximizeCoverage, setMaximizeCoverage] = useState(
+    () => sharedBatch?.maximizeCoverage ?? false
+  );
+  // Typed number fields keep the raw text while they're being edited and only
+  // clamp when they lose focus, so "1" on the way to "150" isn't bumped up to
+  // the minimum mid-keystroke. Spread the result onto the <input>.
+  const [numberDrafts, setNumberDrafts] = useState({});
+  const numberFieldProps = (id, value, commit) => ({
+    value: numberDrafts[id] ?? String(value ?? ""),
+    onChange: (e) =>
+      setNumberDrafts((prev) => ({ ...prev, [id]: e.target.value })),
+    onBlur: () => {
+      const raw = numberDrafts[id];
+      if (raw === undefined) return;
+      setNumberDrafts((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
       });
-
-      const pb = draw.powerball;
-      if (Number.isFinite(pb)) {
-        pbRecentFreq[pb] = (pbRecentFreq[pb] || 0) + 1;
-      }
-    });
-
-    return { mainFreq, pbFreq, mainRecentFreq, pbRecentFreq };
-  }, [draws]);
-
-  const clampNumber = (value, min, max) => {
-    const n = Number(value);
-    if (!Number.isFinite(n)) return min;
-    return Math.max(min, Math.min(max, n));
+      commit(raw.trim());
+    },
+  });
+
+  const [constraints, setConstraints] = useState(() => ({
+    ...DEFAULT_CONSTRAINTS,
+    ...sharedBatch?.constraints,
+  }));
+  const [showConstraints, setShowConstraints] = useState(() =>
+    hasConstraints(sharedBatch?.constraints)
+  );
+  const constraintsError = useMemo(
+    () => validateConstraints(constraints, mainLocked),
+    [constraints, mainLocked]
+  );
+  const setConstraint = (key, value) => {
+    setGenerateError(null);
+    setConstraints((prev) => ({ ...prev, [key]: value }));
   };
 
-  const mainBaseWeights = useMemo(() => {
-    const weights = new Map();
-    const { mainFreq, mainRecentFreq } = analysis;
-
-    if (strategy === "hot") {
-      // Favor most frequent numbers overall
-      const maxFreq = Math.max(...Object.values(mainFreq), 1);
-      for (let n = 1; n <= 69; n++) {
-        const freq = mainFreq[n] || 0;
-        weights.set(n, (freq / maxFreq) * 10 + 1);
-      }
-    } else if (strategy === "recent-hot") {
-      // Favor numbers that appeared recently
-      const maxRecent = Math.max(...Object.values(mainRecentFreq), 1);
-      for (let n = 1; n <= 69; n++) {
-        const recent = mainRecentFreq[n] || 0;
-        const total = mainFreq[n] || 0;
-        weights.set(
-          n,
-          (recent / Math.max(maxRecent, 1)) * 10 + total * 0.5 + 1
-        );
-      }
-    } else if (strategy === "cold-recently") {
-      // Favor numbers that appeared least frequently in the last 90 days
-      const maxRecent = Math.max(...Object.values(mainRecentFreq), 1);
-      for (let n = 1; n <= 69; n++) {
-        const recent = mainRecentFreq[n] || 0;
-        // Invert recent frequency: less recent = higher weight
-        weights.set(
-          n,
-          ((maxRecent - recent) / Math.max(maxRecent, 1)) * 10 + 1
-        );
-      }
-    } else if (strategy === "cold") {
-      // Favor numbers that haven't appeared in a while
-      const maxFreq = Math.max(...Object.values(mainFreq), 1);
-      for (let n = 1; n <= 69; n++) {
-        const freq = mainFreq[n] || 0;
-        // Invert: less frequent = higher weight
-        weights.set(n, ((maxFreq - freq) / maxFreq) * 10 + 1);
-      }
-    } else if (strategy === "even-spread") {
-      // Favor numbers spread across the range (avoid clustering)
-      const rangeSize = 69;
-      for (let n = 1; n <= 69; n++) {
-        // Slight preference for numbers in different ranges
-        const rangePos = n / rangeSize;
-        const freq = mainFreq[n] || 0;
-        // Combine range position with frequency, but reduce frequency weight
-        weights.set(n, (1 + Math.abs(rangePos - 0.5)) * 2 + freq * 0.3 + 1);
-      }
-    } else {
-      // "balanced" - default historical frequency
-      for (let n = 1; n <= 69; n++) {
-        weights.set(n, (mainFreq[n] || 0) + 1);
-      }
-    }
-
-    return weights;
-  }, [analysis, strategy]);
-
-  const pbBaseWeights = useMemo(() => {
-    const weights = new Map();
-    const { pbFreq, pbRecentFreq } = analysis;
-
-    if (strategy === "hot") {
-      const maxFreq = Math.max(...Object.values(pbFreq), 1);
-      for (let n = 1; n <= 26; n++) {
-        const freq = pbFreq[n] || 0;
-        weights.set(n, (freq / maxFreq) * 10 + 1);
-      }
-    } else if (strategy === "recent-hot") {
-      const maxRecent = Math.max(...Object.values(pbRecentFreq), 1);
-      for (let n = 1; n <= 26; n++) {
-        const recent = pbRecentFreq[n] || 0;
-        const total = pbFreq[n] || 0;
-        weights.set(
-          n,
-          (recent / Math.max(maxRecent, 1)) * 10 + total * 0.5 + 1
-        );
-      }
-    } else if (strategy === "cold-recently") {
-      // Favor numbers that appeared least frequently in the last 90 days
-      const maxRecent = Math.max(...Object.values(pbRecentFreq), 1);
-      for (let n = 1; n <= 26; n++) {
-        const recent = pbRecentFreq[n] || 0;
-        // Invert recent frequency: less recent = higher weight
-        weights.set(
-          n,
-          ((maxRecent - recent) / Math.max(maxRecent, 1)) * 10 + 1
-        );
-      }
-    } else if (strategy === "cold") {
-      const maxFreq = Math.max(...Object.values(pbFreq), 1);
-      for (let n = 1; n <= 26; n++) {
-        const freq = pbFreq[n] || 0;
-        weights.set(n, ((maxFreq - freq) / maxFreq) * 10 + 1);
-      }
-    } else if (strategy === "even-spread") {
-      const rangeSize = 26;
-      for (let n = 1; n <= 26; n++) {
-        const rangePos = n / rangeSize;
-        const freq = pbFreq[n] || 0;
-        weights.set(n, (1 + Math.abs(rangePos - 0.5)) * 2 + freq * 0.3 + 1);
-      }
-    } else {
-      // "balanced" - default
-      for (let n = 1; n <= 26; n++) {
-        weights.set(n, (pbFreq[n] || 0) + 1);
-      }
-    }
-
-    return weights;
-  }, [analysis, strategy]);
-
-  const pickOneBlended = (availableNums, baseWeights, alpha) => {
-    // alpha: 0 -> fully weighted; 1 -> fully uniform
-    const a = clampNumber(alpha, 0, 1);
-    const uniformP = 1 / availableNums.length;
-
-    let sumW = 0;
-    for (const n of availableNums) sumW += baseWeights.get(n) || 0;
-    if (sumW <= 0) sumW = availableNums.length;
-
-    let r = Math.random();
-    let cumulative = 0;
-
-    for (const n of availableNums) {
-      const w = baseWeights.get(n) || 1;
-      const weightedP = w / sumW;
-      const p = (1 - a) * weightedP + a * uniformP;
-      cumulative += p;
-
-      if (r <= cumulative) return n;
-    }
-
-    return availableNums[availableNums.length - 1];
-  };
-
-  const generatePicks = (
-    count,
-    randomnessPct,
-    lockedMainNums,
-    pbLockedNums
-  ) => {
-    const safeCount = clampInt(count, 1, 50);
-    const alpha = clampNumber(randomnessPct, 0, 100) / 100;
-    const picks = [];
-
-    const lockedMain = (lockedMainNums || []).slice(0, 5);
-    const powerballCandidates = pbLockedNums || [];
-
-    for (let i = 0; i < safeCount; i++) {
-      // If the user provided PB-eligible locked numbers (1..26), pick the PB
-      // from that set (so it can vary across lines).
-      const lockedPowerballCandidate =
-        powerballCandidates.length > 0
-          ? pickOneBlended(powerballCandidates, pbBaseWeights, alpha)
-          : null;
-
-      const availableMain = [];
-      for (let n = 1; n <= 69; n++) availableMain.push(n);
-
-      const main = [];
-      for (const forced of lockedMain) {
-        if (!main.includes(forced)) {
-          main.push(forced);
-          const idx = availableMain.indexOf(forced);
-          if (idx !== -1) availableMain.splice(idx, 1);
-        }
-      }
-
-      while (main.length < 5) {
-        const selected = pickOneBlended(availableMain, mainBaseWeights, alpha);
-        main.push(selected);
-        availableMain.splice(availableMain.indexOf(selected), 1);
-      }
-
-      const availablePb = [];
-      for (let n = 1; n <= 26; n++) availablePb.push(n);
-      const powerball =
-        lockedPowerballCandidate ??
-        pickOneBlended(availablePb, pbBaseWeights, alpha);
-
-      picks.push({
-        main: main.sort((a, b) => a - b),
-        powerball,
-      });
-    }
-
-    return picks;
-  };
+  const [showWheel, setShowWheel] = useState(() => Boolean(sharedBatch?.wheel));
+  const [wheelPool, setWheelPool] = useState(
+    () => sharedBatch?.wheel?.pool ?? []
+  );
+  // "full" or "<match>-<ifDrawn>", e.g. "3-4" for "3 if 4".
+  const [wheelGuarantee, setWheelGuarantee] = useState(() =>
+    sharedBatch?.wheel
+      ? sharedBatch.wheel.full
+        ? "full"
+        : `${sharedBatch.wheel.match}-${sharedBatch.wheel.ifDrawn}`
+      : "3-4"
+  );
 
-  const [numLines, setNumLines] = useState(5);
-  const [randomness, setRandomness] = useState(70);
-  const [mainLocked, setMainLocked] = useState([]);
-  const [powerballLocked, setPowerballLocked] = useState([]);
+  const wheelSpec = useMemo(() => {
+    if (wheelGuarantee === "full") return { pool: wheelPool, full: true };
+    const [match, ifDrawn] = wheelGuarantee.split("-").map(Number);
+    return { pool: wheelPool, full: false, match, ifDrawn };
+  }, [wheelPool, wheelGuarantee]);
+
+  // Line count + cost shown before generating. Only built while the panel is open.
+  const wheelPreview = useMemo(() => {
+    if (!showWheel) return null;
+    const invalid = validateWheel(wheelSpec);
+    if (invalid) return { error: invalid, lines: null };
+    const lines = buildWheel(wheelSpec);
+    return {
+      lines,
+      error:
+        lines.length > WHEEL_MAX_LINES
+          ? `That's ${lines.length.toLocaleString()} lines — more than the ${WHEEL_MAX_LINES} we can show. Shrink the pool or pick a lower guarantee.`
+          : null,
+    };
+  }, [showWheel, wheelSpec]);
+  const [showPersonal, setShowPersonal] = useState(false);
+  const [personalText, setPersonalText] = useState("");
+  const [personalMethod, setPersonalMethod] = useState("date-parts");
+  const [personalName, setPersonalName] = useState("");
+  const [personalProfiles, setPersonalProfiles] = useState(() => {
+    const stored = loadJson(PERSONAL_PROFILES_KEY, []);
+    return (Array.isArray(stored) ? stored : [])
+      .map((p) => ({
+        id: String(p?.id ?? ""),
+        name: String(p?.name ?? "").trim(),
+        text: String(p?.text ?? ""),
+        method: PERSONAL_METHODS.some((m) => m.id === p?.method)
+          ? p.method
+          : "date-parts",
+      }))
+      .filter((p) => p.id && p.name);
+  });
+  const personalNumbers = useMemo(
+    () => derivePersonalNumbers(splitEntries(personalText), personalMethod),
+    [personalText, personalMethod]
+  );
   const [showMainLockedPicker, setShowMainLockedPicker] = useState(false);
   const [showPowerballLockedPicker, setShowPowerballLockedPicker] =
     useState(false);
   const [mainLockedUiError, setMainLockedUiError] = useState(null);
+  const [showMainExcludedPicker, setShowMainExcludedPicker] = useState(() =>
+    Boolean(sharedBatch?.mainExcluded?.length)
+  );
+  const [showPowerballExcludedPicker, setShowPowerballExcludedPicker] =
+    useState(() => Boolean(sharedBatch?.powerballExcluded?.length));
 
   const lockedError = useMemo(() => {
     if (mainLocked.length > 5)
@@ -463,6 +621,17 @@ const PowerballGenerator = () => {
     return null;
   }, [mainLocked]);
 
+  const exclusionsError = useMemo(
+    () =>
+      validateExclusions({
+        mainLocked,
+        powerballLocked,
+        mainExcluded,
+        powerballExcluded,
+      }),
+    [mainLocked, powerballLocked, mainExcluded, powerballExcluded]
+  );
+
   const mainBallNumbers = useMemo(
     () => Array.from({ length: 69 }, (_, i) => i + 1),
     []
@@ -472,16 +641,108 @@ const PowerballGenerator = () => {
     []
   );
 
-  const [picks, setPicks] = useState(() => generatePicks(5, 70, [], []));
+  // The generator inputs behind the current picks (what a share link encodes).
+  const [batch, setBatch] = useState(() => ({
+    seed: randomSeed(),
+    strategy: "balanced",
+    randomness: 70,
+    count: 5,
+    mainLocked: [],
+    powerballLocked: [],
+    mainExcluded: [],
+    powerballExcluded: [],
+    rejectDrawnWhites: false,
+    maximizeCoverage: false,
+    constraints: null,
+    history: DEFAULT_HISTORY,
+    recency: DEFAULT_RECENCY,
+    asOf: latestDrawDate(fallbackDraws),
+  }));
+  const initialBatchRef = useRef(batch);
+  const [initialResult] = useState(() =>
+    generatePicks({ draws: fallbackDraws, ...batch })
+  );
+  const [picks, setPicks] = useState(() => initialResult.picks);
+  // Set once a ball is edited by hand: the batch no longer reproduces the
+  // lines, which exports need to say.
+  const [picksEdited, setPicksEdited] = useState(false);
+  // Rendering the (print-only) play slips; cleared after the print dialog.
+  const [printingSlips, setPrintingSlips] = useState(false);
+  // How many candidate lines the last batch threw away, and why.
+  const [rejection, setRejection] = useState(() => ({
+    rejected: initialResult.rejected,
+    rejectedBy: initialResult.rejectedBy,
+    unresolved: initialResult.unresolved,
+    unresolvedBy: initialResult.unresolvedBy,
+  }));
+  const [generateError, setGenerateError] = useState(null);
   const [editing, setEditing] = useState(null);
   const [editValue, setEditValue] = useState("");
   const [editError, setEditError] = useState(null);
   const [copied, setCopied] = useState(null);
   const [justGenerated, setJustGenerated] = useState(false);
   const [animatingBalls, setAnimatingBalls] = useState(new Set());
-  const [displayPicks, setDisplayPicks] = useState(() =>
-    generatePicks(5, 70, [], [])
-  );
+  const [displayPicks, setDisplayPicks] = useState(() => picks);
+  const [visibleLines, setVisibleLines] = useState(PICKS_PAGE_SIZE);
+  // { done, total } while a batch is generating in the worker.
+  const [generating, setGenerating] = useState(null);
+  const generateJobRef = useRef(null);
+
+  // Replay a shared batch against the same draw history it was generated from.
+  useEffect(() => {
+    if (!sharedBatch || !drawsLoaded) return;
+
+    const job = runEngineJob("batch", { batch: sharedBatch, draws });
+    job.promise
+      .then(
+        ({
+          picks: replayed,
+          rejected,
+          rejectedBy,
+          unresolved,
+          unresolvedBy,
+        }) => {
+          setBatch(sharedBatch);
+          setRejection({ rejected, rejectedBy, unresolved, unresolvedBy });
+          setPicks(replayed);
+          setPicksEdited(false);
+          setDisplayPicks(replayed);
+          setVisibleLines(PICKS_PAGE_SIZE);
+          setSharedBatch(null);
+        }
+      )
+      .catch((e) => {
+        // Don't leave Generate disabled behind a link we can't rebuild.
+        if (!(e instanceof CancelledError)) setSharedBatch(null);
+      });
+    return job.cancel;
+  }, [sharedBatch, drawsLoaded, draws]);
+
+  const coverage = useMemo(() => coverageStats(picks), [picks]);
+
+  // The first batch is drawn from the embedded draws, but a link replays
+  // against the live ones; only offer a link once the two are known to match.
+  const shareUrl = useMemo(() => {
+    if (typeof window === "undefined") return null;
+    if (
+      batch === initialBatchRef.current &&
+      (!drawsLoaded || draws !== fallbackDraws)
+    ) {
+      return null;
+    }
+    const url = new URL(window.location.href);
+    url.search = encodeBatchParams(batch, url.search).toString();
+    return url.toString();
+  }, [batch, drawsLoaded, draws, fallbackDraws]);
+
+  // Print once the slips have rendered, then drop them again.
+  useEffect(() => {
+    if (!printingSlips) return;
+    const done = () => setPrintingSlips(false);
+    window.addEventListener("afterprint", done);
+    window.print();
+    return () => window.removeEventListener("afterprint", done);
+  }, [printingSlips]);
 
   // Save initial picks once on mount
   useEffect(() => {
@@ -505,13 +766,76 @@ const PowerballGenerator = () => {
     }
   }, [picks]);
   const [showStats, setShowStats] = useState(true);
+  const [showAllGaps, setShowAllGaps] = useState(false);
   const [showChecker, setShowChecker] = useState(false);
   const [showPrizeTable, setShowPrizeTable] = useState(false);
+  const [showEv, setShowEv] = useState(false);
+  // Expected value settings; rates are whole percents as typed.
+  const [evPayout, setEvPayout] = useState(DEFAULT_EV_SETTINGS.payout);
+  const [evCashPct, setEvCashPct] = useState(
+    Math.round(DEFAULT_EV_SETTINGS.cashRatio * 100)
+  );
+  const [evFederalPct, setEvFederalPct] = useState(
+    Math.round(DEFAULT_EV_SETTINGS.federalRate * 100)
+  );
+  const [evStatePct, setEvStatePct] = useState(
+    Math.round(DEFAULT_EV_SETTINGS.stateRate * 100)
+  );
+  const [evPowerPlay, setEvPowerPlay] = useState(false);
+  // "What if" jackpot in millions; empty uses the live jackpot.
+  const [evJackpotInput, setEvJackpotInput] = useState("");
+  const [showBacktest, setShowBacktest] = useState(false);
+  const [backtestStrategies, setBacktestStrategies] = useState([
+    "balanced",
+    "hot",
+    "cold",
+  ]);
+  const [backtestLines, setBacktestLines] = useState(5);
+  const [backtestDrawsBack, setBacktestDrawsBack] = useState(100);
+  const [backtestPowerPlay, setBacktestPowerPlay] = useState(false);
+  const [backtestProgress, setBacktestProgress] = useState(null);
+  const [backtestResult, setBacktestResult] = useState(null);
+  const [backtestError, setBacktestError] = useState(null);
+  const backtestJobRef = useRef(null);
+  const [tickets, setTickets] = useState([]);
+  const [ticketsError, setTicketsError] = useState(null);
+  const [showTickets, setShowTickets] = useState(false);
+  const [ticketTagFilter, setTicketTagFilter] = useState(null);
+  // Open "save to My Tickets" / edit forms: { name, startDate, drawCount,
+  // powerPlay, tags } (tags as comma-separated text), plus `id` when editing.
+  const [ticketDraft, setTicketDraft] = useState(null);
+  const [editingTicket, setEditingTicket] = useState(null);
+  const [pendingDeleteTicketId, setPendingDeleteTicketId] = useState(null);
+  const [openTicketResultsId, setOpenTicketResultsId] = useState(null);
   const checkerRef = useRef(null);
   const initialPicksCountedRef = useRef(false);
   const initialPicksSavedRef = useRef(false);
   const [checkerInput, setCheckerInput] = useState("");
   const [checkerResults, setCheckerResults] = useState([]);
+  // Which draws to check: "latest", one past "draw", or a "range" of dates.
+  const [checkerMode, setCheckerMode] = useState("latest");
+  const [checkerDrawDate, setCheckerDrawDate] = useState("");
+  const [checkerRangeFrom, setCheckerRangeFrom] = useState("");
+  const [checkerRangeTo, setCheckerRangeTo] = useState("");
+  // Also score the lines against each draw's Double Play drawing.
+  const [checkerDoublePlay, setCheckerDoublePlay] = useState(false);
+  // Ticket import: pasted text, and the parsed preview
+  // ({ fileName, format, rows }) waiting to go to the checker or My Tickets.
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState("");
+  const [importPreview, setImportPreview] = useState(null);
+  // What "Put in the checker" did with the import: the schedule it checks
+  // and any lines it left for My Tickets.
+  const [importNote, setImportNote] = useState(null);
+  const [showLineHistory, setShowLineHistory] = useState(false);
+  const [lineHistoryInput, setLineHistoryInput] = useState("");
+  const [lineHistoryTarget, setLineHistoryTarget] = useState(null);
+  const [lineHistoryError, setLineHistoryError] = useState(null);
+  const [lineHistorySince, setLineHistorySince] = useState(
+    DEFAULT_HISTORY_SINCE
+  );
+  const [lineHistoryPowerPlay, setLineHistoryPowerPlay] = useState(false);
+  const lineHistoryRef = useRef(null);
 
   // Sync displayPicks with picks when not animating
   useEffect(() => {
@@ -558,9 +882,13 @@ const PowerballGenerator = () => {
     }, candidates[0]);
   }, [draws]);
 
-  const latestDrawMainSet = useMemo(
-    () => new Set(latestDraw?.main ?? []),
-    [latestDraw]
+  // Dated draws for the checker's draw picker, newest first.
+  const checkerDrawOptions = useMemo(
+    () =>
+      [...indexDrawsByDate(draws)]
+        .map(([iso, draw]) => ({ iso, draw }))
+        .sort((a, b) => b.iso.localeCompare(a.iso)),
+    [draws]
   );
 
   const formatDrawDateLabel = (draw) => {
@@ -802,42 +1130,8 @@ const PowerballGenerator = () => {
     return `${main} ${pb}`;
   };
 
-  const parseUserLine = (line) => {
-    const trimmed = String(line ?? "").trim();
-    if (!trimmed) return { ok: false, error: "Empty line" };
-
-    // Accept any non-number separators (spaces, commas, hyphens, plus signs, etc).
-    const parts = trimmed.match(/\d+/g) ?? [];
-    if (parts.length !== 6) {
-      return { ok: false, error: "Expected 6 numbers (5 + Powerball)." };
-    }
-
-    const nums = parts.map((p) => Number.parseInt(p, 10));
-    if (nums.some((n) => !Number.isFinite(n))) {
-      return { ok: false, error: "All entries must be numbers." };
-    }
-
-    const main = nums.slice(0, 5);
-    const pb = nums[5];
-
-    if (main.some((n) => n < 1 || n > 69)) {
-      return { ok: false, error: "Main numbers must be 1–69." };
-    }
-    if (pb < 1 || pb > 26) {
-      return { ok: false, error: "Powerball must be 1–26." };
-    }
-
-    const uniq = new Set(main);
-    if (uniq.size !== main.length) {
-      return { ok: false, error: "Main numbers must be unique." };
-    }
-
-    return {
-      ok: true,
-      main: main.slice().sort((a, b) => a - b),
-      powerball: pb,
-    };
-  };
+  // Accept any non-number separators (spaces, commas, hyphens, plus signs, etc).
+  const parseUserLine = (line) => parseLooseLine(line);
 
   const formatPrize = (value) => {
     if (value === "JACKPOT") return "Jackpot";
@@ -881,38 +1175,6 @@ const PowerballGenerator = () => {
     return Number.isFinite(amount) && amount > 0;
   };
 
-  const computePrize = (whiteMatches, pbMatch, powerPlayMultiplier) => {
-    // Hard-coded from https://www.powerball.com/powerball-prize-chart
-    // Power Play does not multiply the Jackpot. Match-5 (no PB) is always $2M with PP (regardless of multiplier).
-    const baseTable = {
-      "5-1": "JACKPOT",
-      "5-0": 1000000,
-      "4-1": 50000,
-      "4-0": 100,
-      "3-1": 100,
-      "3-0": 7,
-      "2-1": 7,
-      "1-1": 4,
-      "0-1": 4,
-    };
-
-    const key = `${whiteMatches}-${pbMatch ? 1 : 0}`;
-    const base = baseTable[key] ?? 0;
-
-    if (powerPlayMultiplier == null) {
-      return { base, withPowerPlay: null };
-    }
-
-    const m = Number(powerPlayMultiplier);
-    const validM = Number.isFinite(m) && m >= 2 ? m : null;
-    if (!validM) return { base, withPowerPlay: null };
-
-    if (base === "JACKPOT") return { base, withPowerPlay: "JACKPOT" };
-    if (base === 0) return { base: 0, withPowerPlay: 0 };
-    if (key === "5-0") return { base, withPowerPlay: 2000000 };
-    return { base, withPowerPlay: base * validM };
-  };
-
   const handleOpenChecker = () => {
     setShowChecker(true);
     requestAnimationFrame(() => {
@@ -923,70 +1185,373 @@ const PowerballGenerator = () => {
     });
   };
 
+  const lineHistoryResult = useMemo(
+    () =>
+      lineHistoryTarget
+        ? lineHistory(lineHistoryTarget, draws, {
+            since: lineHistorySince,
+            powerPlay: lineHistoryPowerPlay,
+          })
+        : null,
+    [lineHistoryTarget, draws, lineHistorySince, lineHistoryPowerPlay]
+  );
+
+  const formatLine = ({ main, powerball }) =>
+    `${main.map((n) => String(n).padStart(2, "0")).join(" ")} + ${String(
+      powerball
+    ).padStart(2, "0")}`;
+
+  // Open the history lookup for a line from the picks list or the checker.
+  const handleOpenLineHistory = (line) => {
+    setLineHistoryInput(formatLine(line));
+    setLineHistoryTarget({
+      main: [...line.main].sort((a, b) => a - b),
+      powerball: line.powerball,
+    });
+    setLineHistoryError(null);
+    setShowLineHistory(true);
+    requestAnimationFrame(() => {
+      lineHistoryRef.current?.scrollIntoView?.({
+        behavior: "smooth",
+        block: "start",
+      });
+    });
+  };
+
+  const handleLookUpLineHistory = () => {
+    const parsed = parseUserLine(lineHistoryInput);
+    if (!parsed.ok) {
+      setLineHistoryError(parsed.error);
+      return;
+    }
+    setLineHistoryError(null);
+    setLineHistoryTarget({ main: parsed.main, powerball: parsed.powerball });
+  };
+
+  const previewImport = (text, fileName = "") => {
+    setImportNote(null);
+    setImportPreview({ fileName, ...parseTicketImport(text, fileName) });
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      previewImport(await file.text(), file.name);
+    } catch {
+      setImportPreview({
+        fileName: file.name,
+        format: null,
+        rows: [{ raw: file.name, ok: false, error: "Couldn't read the file." }],
+      });
+    }
+  };
+
+  const importedRows = importPreview?.rows.filter((r) => r.ok) ?? [];
+
+  // Imported rows grouped by schedule (draw dates and add-ons), in file
+  // order. Undated rows get `undatedDates`.
+  const groupImportedRows = (rows, undatedDates) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const drawDates = row.drawDates.length > 0 ? row.drawDates : undatedDates;
+      const key = `${drawDates.join(",")}|${row.powerPlay}|${row.doublePlay}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          drawDates,
+          powerPlay: row.powerPlay,
+          doublePlay: row.doublePlay,
+          lines: [],
+        });
+      }
+      groups.get(key).lines.push({ main: row.main, powerball: row.powerball });
+    }
+    return [...groups.values()];
+  };
+
+  // The checker scores every line against the same draws, so only one
+  // schedule goes in, and only if a date range covers its draws and no others.
+  const handleImportToChecker = () => {
+    if (importedRows.length === 0) return;
+    const fitsRange = ({ drawDates }) => {
+      if (drawDates.length === 0) return true;
+      const played = new Set(drawDates);
+      const first = drawDates[0];
+      const last = drawDates[drawDates.length - 1];
+      return checkerDrawOptions.every(
+        (o) => o.iso < first || o.iso > last || played.has(o.iso)
+      );
+    };
+    const group = groupImportedRows(importedRows, []).find(fitsRange);
+    if (!group) {
+      setImportNote(
+        "These lines skip draws between their dates, so the checker can't take them. Save them to My Tickets to check each against its own draws."
+      );
+      return;
+    }
+
+    setCheckerInput(group.lines.map(formatLine).join("\n"));
+    setCheckerDoublePlay(group.doublePlay);
+    if (group.drawDates.length > 0) {
+      setCheckerMode("range");
+      setCheckerRangeFrom(group.drawDates[0]);
+      setCheckerRangeTo(group.drawDates[group.drawDates.length - 1]);
+    }
+    const left = importedRows.length - group.lines.length;
+    setImportNote(
+      [
+        group.powerPlay
+          ? "These lines were played with Power Play: read the Power Play prizes."
+          : "",
+        left > 0
+          ? `${left} other ${
+              left === 1 ? "line was" : "lines were"
+            } played on different draws or add-ons and left out; save the import to My Tickets to check every line against its own draws.`
+          : "",
+      ]
+        .filter(Boolean)
+        .join(" ")
+    );
+    setCheckerResults([]);
+    setImportPreview(null);
+    setImportText("");
+    setShowImport(false);
+  };
+
+  // One saved ticket per distinct schedule (draw dates and add-ons), the way
+  // a retailer prints them. Undated lines are saved for the next draw.
+  const handleImportToTickets = async () => {
+    if (importedRows.length === 0) return;
+    const groups = groupImportedRows(importedRows, [nextDrawIso()]);
+
+    const base = importPreview.fileName
+      ? `Imported from ${importPreview.fileName}`
+      : "Imported ticket";
+    const now = new Date().toISOString();
+    try {
+      const saved = [];
+      for (const group of groups) {
+        saved.push(
+          await putTicket({
+            id: newTicketId(),
+            name: groups.length > 1 ? `${base} (${group.drawDates[0]})` : base,
+            ...group,
+            tags: ["imported"],
+            createdAt: now,
+          })
+        );
+      }
+      setTickets((prev) => [...saved, ...prev]);
+      setImportPreview(null);
+      setImportText("");
+      setShowImport(false);
+      setShowTickets(true);
+    } catch (err) {
+      setTicketsError(err?.message || "Couldn't save the imported tickets.");
+      setShowTickets(true);
+    }
+  };
+
+  // The draws the checker compares against, oldest first, or an error.
+  const selectCheckerDraws = () => {
+    if (checkerMode === "draw") {
+      const iso = checkerDrawDate || checkerDrawOptions[0]?.iso;
+      const hit = checkerDrawOptions.find((o) => o.iso === iso);
+      return hit ? { draws: [hit] } : { error: "Pick a draw to check." };
+    }
+    if (checkerMode === "range") {
+      if (!checkerRangeFrom || !checkerRangeTo) {
+        return { error: "Pick the first and last draw dates." };
+      }
+      if (checkerRangeFrom > checkerRangeTo) {
+        return { error: "The first date is after the last date." };
+      }
+      const inRange = checkerDrawOptions
+        .filter((o) => o.iso >= checkerRangeFrom && o.iso <= checkerRangeTo)
+        .reverse();
+      return inRange.length > 0
+        ? { draws: inRange }
+        : {
+            error: `No draws between ${checkerRangeFrom} and ${checkerRangeTo}.`,
+          };
+    }
+    if (!latestDraw) {
+      return {
+        error: "No recent draw loaded yet — refresh after data loads.",
+      };
+    }
+    return {
+      draws: [
+        {
+          iso:
+            latestDraw._drawDateMs == null
+              ? null
+              : isoDay(latestDraw._drawDateMs),
+          draw: latestDraw,
+        },
+      ],
+    };
+  };
+
   const handleCheckNumbers = () => {
     const lines = String(checkerInput ?? "")
       .split(/\r?\n/)
       .map((l) => l.trim())
       .filter(Boolean);
 
-    if (!latestDraw) {
-      setCheckerResults([
-        {
-          raw: "",
-          ok: false,
-          error: "No recent draw loaded yet — refresh after data loads.",
-        },
-      ]);
+    const selection = selectCheckerDraws();
+    if (selection.error) {
+      setCheckerResults([{ raw: "", ok: false, error: selection.error }]);
       return;
     }
 
-    const winningSet = new Set(latestDraw.main);
-    const pp = latestDraw.multiplier;
-
     const next = lines.map((raw) => {
       const parsed = parseUserLine(raw);
       if (!parsed.ok) return { raw, ok: false, error: parsed.error };
 
-      const whiteMatches = parsed.main.reduce(
-        (acc, n) => acc + (winningSet.has(n) ? 1 : 0),
-        0
-      );
-      const pbMatch = parsed.powerball === latestDraw.powerball;
-      const prize = computePrize(whiteMatches, pbMatch, pp);
+      const perDraw = selection.draws.map(({ iso, draw }) => {
+        const { whiteMatches, pbMatch } = scoreLine(parsed, draw);
+        let doublePlay = null;
+        if (checkerDoublePlay && Array.isArray(draw.doublePlay?.main)) {
+          const dp = scoreLine(parsed, draw.doublePlay);
+          doublePlay = {
+            ...dp,
+            prize: computeDoublePlayPrize(dp.whiteMatches, dp.pbMatch),
+          };
+        }
+        return {
+          iso,
+          draw,
+          whiteMatches,
+          pbMatch,
+          prize: computePrize(whiteMatches, pbMatch, draw.multiplier),
+          doublePlay,
+        };
+      });
 
       return {
         raw,
         ok: true,
         main: parsed.main,
         powerball: parsed.powerball,
-        whiteMatches,
-        pbMatch,
-        prize,
+        perDraw,
+        total: totalPrizes(perDraw.map((d) => d.prize.base)),
+        totalWithPowerPlay: totalPrizes(
+          perDraw.map((d) => d.prize.withPowerPlay ?? d.prize.base)
+        ),
+        // Null when Double Play wasn't asked for or no draw has its numbers.
+        totalDoublePlay: perDraw.some((d) => d.doublePlay)
+          ? totalPrizes(
+              perDraw.filter((d) => d.doublePlay).map((d) => d.doublePlay.prize)
+            )
+          : null,
       };
     });
 
     setCheckerResults(next);
   };
 
-  const POWERBALL_JACKPOT_ODDS_ONE_IN = 292201338; // per powerball.com prize chart
+  const formatPrizeTotal = ({ amount, jackpots }) =>
+    jackpots > 0
+      ? `${jackpots > 1 ? `${jackpots} jackpots` : "Jackpot"}${
+          amount > 0 ? ` + ${formatPrize(amount)}` : ""
+        }`
+      : formatPrize(amount);
+
+  const isWinningTotal = ({ amount, jackpots }) => amount > 0 || jackpots > 0;
+
+  // Why the last batch kept lines that still break a rule: what they match
+  // (from `unresolvedBy`) and the locked or excluded numbers that boxed them in.
+  const unresolvedMessage = () => {
+    const by = rejection.unresolvedBy ?? {};
+    const matches = [
+      by.jackpot > 0 && "a past jackpot",
+      by.white > 0 && "5 white balls drawn before",
+      by.constraints > 0 && "a pattern filter",
+      by.pattern > 0 && "a common pattern",
+    ].filter(Boolean);
+    const locked =
+      batch.mainLocked?.length > 0 || batch.powerballLocked?.length > 0;
+    const excluded =
+      batch.mainExcluded?.length > 0 || batch.powerballExcluded?.length > 0;
+    const cause =
+      locked && excluded
+        ? "your locked and excluded numbers leave"
+        : locked
+        ? "your locked numbers leave"
+        : excluded
+        ? "your excluded numbers leave"
+        : "these settings leave";
+    const count = rejection.unresolved;
+    return `${count} ${
+      count === 1 ? "line still matches" : "lines still match"
+    } ${
+      matches.length > 0 ? matches.join(" or ") : "a past draw or pattern"
+    } — ${cause} no other option.`;
+  };
 
-  const getOdds = (whiteMatches, pbMatch) => {
-    // Official Powerball odds from powerball.com
-    const oddsTable = {
-      "5-1": 292201338, // Jackpot
-      "5-0": 11688053.52,
-      "4-1": 913129.18,
-      "4-0": 36525.17,
-      "3-1": 14494.11,
-      "3-0": 579.76,
-      "2-1": 701.33,
-      "1-1": 91.98,
-      "0-1": 38.32,
+  // The one draw a result was checked against, or null for a range.
+  const checkerSingleDraw = (r) =>
+    r.perDraw.length === 1 ? r.perDraw[0].draw : null;
+
+  // Grand total, shown when more than one line or draw was checked.
+  const checkerTotals = (() => {
+    const ok = checkerResults.filter((r) => r.ok);
+    const drawCount = ok[0]?.perDraw.length ?? 0;
+    if (ok.length === 0 || (ok.length === 1 && drawCount === 1)) return null;
+    const sum = (key) =>
+      ok.reduce(
+        (acc, r) => ({
+          amount: acc.amount + r[key].amount,
+          jackpots: acc.jackpots + r[key].jackpots,
+        }),
+        { amount: 0, jackpots: 0 }
+      );
+    const doublePlay = ok.filter((r) => r.totalDoublePlay);
+    return {
+      lines: ok.length,
+      draws: drawCount,
+      base: sum("total"),
+      withPowerPlay: sum("totalWithPowerPlay"),
+      doublePlay:
+        doublePlay.length > 0
+          ? {
+              amount: doublePlay.reduce(
+                (acc, r) => acc + r.totalDoublePlay.amount,
+                0
+              ),
+              jackpots: 0,
+            }
+          : null,
     };
+  })();
 
-    const key = `${whiteMatches}-${pbMatch ? 1 : 0}`;
-    return oddsTable[key] ?? null;
-  };
+  const POWERBALL_JACKPOT_ODDS_ONE_IN = 292201338; // per powerball.com prize chart
+
+  const evSettings = useMemo(
+    () => ({
+      payout: evPayout,
+      cashRatio: evCashPct / 100,
+      federalRate: evFederalPct / 100,
+      stateRate: evStatePct / 100,
+      powerPlay: evPowerPlay,
+    }),
+    [evPayout, evCashPct, evFederalPct, evStatePct, evPowerPlay]
+  );
+  const evJackpot =
+    Number(evJackpotInput) > 0
+      ? Number(evJackpotInput) * 1000000
+      : jackpot?.amount ?? null;
+  const evResult = useMemo(
+    () => (evJackpot ? expectedValue(evJackpot, evSettings) : null),
+    [evJackpot, evSettings]
+  );
+  // Scans jackpots, so only while the panel is open.
+  const evBreakEven = useMemo(
+    () => (showEv ? breakEvenJackpot(evSettings) : null),
+    [showEv, evSettings]
+  );
 
   const formatOdds = (odds) => {
     if (!odds) return "—";
@@ -1120,6 +1685,43 @@ const PowerballGenerator = () => {
     setTimeout(() => setCopied(null), 1200);
   };
 
+  const downloadFile = (fileName, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const exportFileName = (ext) =>
+    `powerball-picks-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+  const handleExportCsv = () => {
+    downloadFile(exportFileName("csv"), picksToCsv(picks), "text/csv");
+  };
+
+  const handleExportJson = () => {
+    downloadFile(
+      exportFileName("json"),
+      picksToJson(picks, { batch, edited: picksEdited }),
+      "application/json"
+    );
+  };
+
+  const handlePrintSlips = () => {
+    if (picks.length > 0) setPrintingSlips(true);
+  };
+
+  const handleCopyShareLink = async () => {
+    if (!shareUrl) return;
+    await copyToClipboard(shareUrl);
+    setCopied("link");
+    setTimeout(() => setCopied(null), 1200);
+  };
+
   const beginEdit = (lineIdx, kind, indexOrNull) => {
     setEditError(null);
     setEditing({ lineIdx, kind, index: indexOrNull });
@@ -1155,11 +1757,19 @@ const PowerballGenerator = () => {
         setEditError("Powerball must be one of your Powerball locked numbers.");
         return;
       }
+      if (powerballExcluded.includes(next)) {
+        setEditError("That Powerball is excluded.");
+        return;
+      }
     } else {
       if (next < 1 || next > 69) {
         setEditError("Main numbers must be 1–69.");
         return;
       }
+      if (mainExcluded.includes(next)) {
+        setEditError("That number is excluded.");
+        return;
+      }
 
       const currentPick = picks[lineIdx];
       if (currentPick) {
@@ -1183,6 +1793,7 @@ const PowerballGenerator = () => {
       }
     }
 
+    setPicksEdited(true);
     setPicks((prev) => {
       const copy = prev.map((p) => ({ ...p, main: [...p.main] }));
       const pick = copy[lineIdx];
@@ -1217,23 +1828,718 @@ const PowerballGenerator = () => {
     setEditError(null);
   };
 
-  const toggleMainLocked = (n) => {
-    setMainLockedUiError(null);
-    setMainLocked((prev) => {
-      if (prev.includes(n)) return prev.filter((x) => x !== n);
-      if (prev.length >= 5) {
-        setMainLockedUiError("Main locked is limited to 5 numbers.");
-        return prev;
-      }
-      return [...prev, n].sort((a, b) => a - b);
-    });
-  };
+  const presentBatch = async (nextBatch, result) => {
+    const {
+      picks: newPicks,
+      rejected,
+      rejectedBy,
+      unresolved,
+      unresolvedBy,
+    } = result;
+    setEditing(null);
+    setEditValue("");
+    setEditError(null);
+    setCopied(null);
+    setBatch(nextBatch);
+    setRejection({ rejected, rejectedBy, unresolved, unresolvedBy });
+    setGenerateError(null);
+    setVisibleLines(PICKS_PAGE_SIZE);
+
+    // Keep the address bar in sync so the batch can be shared as-is.
+    const url = new URL(window.location.href);
+    url.search = encodeBatchParams(nextBatch, url.search).toString();
+    window.history.replaceState({}, "", url.toString());
+
+    // Big batches skip the per-ball spin; it would take ages.
+    if (newPicks.length > ANIMATE_MAX_LINES) {
+      setAnimatingBalls(new Set());
+      setDisplayPicks(newPicks);
+    } else {
+      // Start animation: set all balls to white/blank first
+      setAnimatingBalls(new Set());
+      setDisplayPicks(
+        newPicks.map((pick) => ({
+          main: pick.main.map(() => null),
+          powerball: null,
+        }))
+      );
 
-  const togglePowerballLocked = (n) => {
-    setPowerballLocked((prev) => toggleInSet(prev, n).sort((a, b) => a - b));
-  };
+      // Animate each ball in sequence
+      const animateBall = (pickIdx, ballIdx, isPowerball, finalValue) => {
+        const ballKey = `${pickIdx}-${ballIdx}-${isPowerball ? "pb" : "main"}`;
+        setAnimatingBalls((prev) => new Set(prev).add(ballKey));
+
+        // Spin through numbers
+        const spinDuration = 800 + Math.random() * 400; // 800-1200ms
+        const spinSteps = 15 + Math.floor(Math.random() * 10); // 15-25 steps
+        const stepDuration = spinDuration / spinSteps;
+        let currentStep = 0;
+
+        const spinInterval = setInterval(() => {
+          currentStep++;
+          const range = isPowerball ? 26 : 69;
+          const randomValue = Math.floor(Math.random() * range) + 1;
+
+          setDisplayPicks((prev) => {
+            const updated = prev.map((p, pIdx) => {
+              if (pIdx !== pickIdx) return p;
+              const newPick = { ...p };
+              if (isPowerball) {
+                newPick.powerball = randomValue;
+              } else {
+                newPick.main = [...p.main];
+                newPick.main[ballIdx] = randomValue;
+              }
+              return newPick;
+            });
+            return updated;
+          });
 
-  const topMain = Object.entries(analysis.mainFreq)
+          if (currentStep >= spinSteps) {
+            clearInterval(spinInterval);
+            // Set final value
+            setDisplayPicks((prev) => {
+              const updated = prev.map((p, pIdx) => {
+                if (pIdx !== pickIdx) return p;
+                const newPick = { ...p };
+                if (isPowerball) {
+                  newPick.powerball = finalValue;
+                } else {
+                  newPick.main = [...p.main];
+                  newPick.main[ballIdx] = finalValue;
+                }
+                return newPick;
+              });
+              return updated;
+            });
+            setAnimatingBalls((prev) => {
+              const next = new Set(prev);
+              next.delete(ballKey);
+              return next;
+            });
+          }
+        }, stepDuration);
+      };
+
+      // Animate all balls in sequence within each row
+      newPicks.forEach((pick, pickIdx) => {
+        // Animate main balls
+        pick.main.forEach((finalValue, ballIdx) => {
+          setTimeout(() => {
+            animateBall(pickIdx, ballIdx, false, finalValue);
+          }, pickIdx * 100 + ballIdx * 150);
+        });
+
+        // Animate powerball after main balls
+        setTimeout(() => {
+          animateBall(pickIdx, 0, true, pick.powerball);
+        }, pickIdx * 100 + pick.main.length * 150 + 100);
+      });
+    }
+
+    // Set picks immediately so finalPick is available during rendering
+    setPicks(newPicks);
+    setPicksEdited(false);
+
+    // Show success feedback
+    setJustGenerated(true);
+    setTimeout(() => setJustGenerated(false), 2500);
+
+    // Increment counter
+    try {
+      const res = await fetch("/api/powerball/counter/increment", {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ count: newPicks.length }),
+      });
+      if (res.ok) {
+        const payload = await res.json();
+        if (payload?.count != null) {
+          setCombinationsGenerated(payload.count);
+        }
+      }
+    } catch {
+      // Silently fail - counter is not critical
+    }
+
+    // Save picks to database
+    try {
+      await fetch("/api/powerball/picks", {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ picks: newPicks }),
+      });
+    } catch {
+      // Silently fail - saving picks is not critical
+    }
+  };
+
+  // Generate in the worker, reporting progress. Resolves null if cancelled.
+  const runBatchJob = async (nextBatch) => {
+    generateJobRef.current?.cancel();
+    const job = runEngineJob(
+      "batch",
+      { batch: nextBatch, draws },
+      { onProgress: (done, total) => setGenerating({ done, total }) }
+    );
+    generateJobRef.current = job;
+    setGenerating({ done: 0, total: nextBatch.count });
+    try {
+      return await job.promise;
+    } catch (e) {
+      if (!(e instanceof CancelledError)) {
+        setGenerateError("Couldn’t generate picks. Please try again.");
+      }
+      return null;
+    } finally {
+      if (generateJobRef.current === job) {
+        generateJobRef.current = null;
+        setGenerating(null);
+      }
+    }
+  };
+
+  const handleCancelGenerate = () => {
+    generateJobRef.current?.cancel();
+  };
+
+  const handleGenerate = async () => {
+    if (
+      lockedError ||
+      exclusionsError ||
+      constraintsError ||
+      historyError ||
+      recencyError
+    ) {
+      return;
+    }
+
+    const nextBatch = {
+      seed: randomSeed(),
+      strategy: activeStrategy,
+      randomness,
+      count: numLines,
+      mainLocked,
+      powerballLocked,
+      mainExcluded,
+      powerballExcluded,
+      rejectDrawnWhites,
+      maximizeCoverage,
+      constraints: hasConstraints(constraints) ? constraints : null,
+      history,
+      recency,
+      asOf: latestDrawDate(draws),
+    };
+    const result = await runBatchJob(nextBatch);
+    if (!result) return;
+    if (result.tooStrict) {
+      setGenerateError(
+        `Your pattern filters are too strict — no line matched after ${MAX_ATTEMPTS_PER_LINE} tries. Loosen one and try again.`
+      );
+      return;
+    }
+    presentBatch(nextBatch, result);
+  };
+
+  const handleGenerateWheel = async () => {
+    if (!wheelPreview?.lines || wheelPreview.error) return;
+    if (exclusionsError || historyError || recencyError) return;
+
+    const nextBatch = {
+      seed: randomSeed(),
+      strategy: activeStrategy,
+      randomness,
+      count: wheelPreview.lines.length,
+      mainLocked: [],
+      powerballLocked,
+      mainExcluded: [],
+      powerballExcluded,
+      rejectDrawnWhites: false,
+      maximizeCoverage: false,
+      constraints: null,
+      history,
+      recency,
+      asOf: latestDrawDate(draws),
+      wheel: wheelSpec,
+    };
+    const result = await runBatchJob(nextBatch);
+    if (result) presentBatch(nextBatch, result);
+  };
+
+  const strategyLabel = (value) =>
+    STRATEGY_NAMES[value] ??
+    customStrategies.find((s) => `custom:${s.id}` === value)?.name ??
+    value;
+
+  const toggleBacktestStrategy = (value) => {
+    setBacktestStrategies((prev) => toggleInSet(prev, value));
+  };
+
+  const handleRunBacktest = async () => {
+    if (backtestJobRef.current) {
+      backtestJobRef.current.cancel();
+      return;
+    }
+    // Skip custom strategies deleted since they were ticked.
+    const selected = backtestStrategies.filter(
+      (value) =>
+        !value.startsWith("custom:") ||
+        customStrategies.some((s) => `custom:${s.id}` === value)
+    );
+    if (selected.length === 0 || historyError || recencyError) return;
+
+    setBacktestResult(null);
+    setBacktestError(null);
+    setBacktestProgress({ done: 0, total: 0 });
+    try {
+      const job = runEngineJob(
+        "backtest",
+        {
+          draws,
+          strategies: selected.map((value) => ({
+            key: value,
+            label: strategyLabel(value),
+            strategy: value.startsWith("custom:")
+              ? customStrategies.find((s) => `custom:${s.id}` === value)
+                  ?.blend ?? "balanced"
+              : value,
+          })),
+          lines: backtestLines,
+          randomness,
+          drawsBack: backtestDrawsBack,
+          history,
+          recency,
+          powerPlay: backtestPowerPlay,
+          rejectDrawnWhites,
+          seed: randomSeed(),
+        },
+        { onProgress: (done, total) => setBacktestProgress({ done, total }) }
+      );
+      backtestJobRef.current = job;
+      setBacktestResult(await job.promise);
+    } catch {
+      setBacktestError("The backtest failed. Please try again.");
+    } finally {
+      backtestJobRef.current = null;
+      setBacktestProgress(null);
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    listTickets()
+      .then((stored) => {
+        if (!cancelled) setTickets(stored);
+      })
+      .catch((err) => {
+        if (!cancelled)
+          setTicketsError(err?.message || "Couldn't load tickets.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Score saved tickets against any of their draws that have come in since the
+  // last check. Results are stored on the ticket, so each draw is checked once.
+  useEffect(() => {
+    if (!drawsLoaded || tickets.length === 0) return;
+    const drawsByDate = indexDrawsByDate(draws);
+    const updates = tickets
+      .map((ticket) => ({
+        id: ticket.id,
+        fresh: newTicketResults(ticket, drawsByDate),
+      }))
+      .filter(({ fresh }) => fresh.length > 0);
+    if (updates.length === 0) return;
+
+    let cancelled = false;
+    // Only the results are written, merged into the stored ticket, so an edit
+    // or delete made while this runs isn't undone.
+    Promise.all(updates.map(({ id, fresh }) => updateTicketResults(id, fresh)))
+      .then((saved) => {
+        if (cancelled) return;
+        const byId = new Map(saved.filter(Boolean).map((t) => [t.id, t]));
+        setTickets((prev) =>
+          prev.map((t) =>
+            byId.has(t.id) ? { ...t, results: byId.get(t.id).results } : t
+          )
+        );
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setTicketsError(err?.message || "Couldn't save ticket results.");
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [tickets, draws, drawsLoaded]);
+
+  // Results checked since the user last dismissed the banner, newest first.
+  const unseenTicketResults = tickets
+    .flatMap((ticket) =>
+      ticket.results
+        .filter((r) => !r.seen)
+        .map((result) => ({ ticket, result }))
+    )
+    .sort((a, b) => b.result.drawDate.localeCompare(a.result.drawDate));
+
+  const handleDismissTicketResults = async () => {
+    const updates = tickets
+      .filter((t) => t.results.some((r) => !r.seen))
+      .map((t) => ({
+        ...t,
+        results: t.results.map((r) => ({ ...r, seen: true })),
+      }));
+    const byId = new Map(updates.map((t) => [t.id, t]));
+    setTickets((prev) => prev.map((t) => byId.get(t.id) ?? t));
+    try {
+      await Promise.all(updates.map(putTicket));
+    } catch (err) {
+      setTicketsError(err?.message || "Couldn't save ticket results.");
+    }
+  };
+
+  const describeTicketResult = (result) =>
+    result.jackpot
+      ? "won the JACKPOT"
+      : result.winnings > 0
+      ? `won ${formatPrize(result.winnings)}`
+      : "no win";
+
+  const nextDrawIso = () => {
+    const { year, month, day } = getEtParts(nextPowerballDraw.utc);
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+      2,
+      "0"
+    )}`;
+  };
+
+  const visibleTickets = ticketTagFilter
+    ? tickets.filter((t) => t.tags.includes(ticketTagFilter))
+    : tickets;
+
+  const handleOpenSaveTicket = () => {
+    setTicketsError(null);
+    // Lines planned from a budget keep that plan's draws and add-ons.
+    const plan = appliedBudget?.lines === picks.length ? appliedBudget : null;
+    setTicketDraft({
+      name: `Picks for ${nextDrawIso()}`,
+      startDate: nextDrawIso(),
+      drawCount: plan?.draws ?? 1,
+      powerPlay: plan?.powerPlay ?? false,
+      doublePlay: plan?.doublePlay ?? false,
+      tags: "",
+    });
+  };
+
+  const budgetPlan = planBudget({
+    budget: budgetPeople * budgetEach,
+    draws: budgetDraws,
+    powerPlay: budgetPowerPlay,
+    doublePlay: budgetDoublePlay,
+  });
+
+  const budgetDrawDates = drawDatesFrom(nextDrawIso(), budgetDraws);
+
+  const handleApplyBudget = () => {
+    if (budgetPlan.error) return;
+    setNumLines(budgetPlan.lines);
+    setAppliedBudget({
+      lines: budgetPlan.lines,
+      draws: budgetDraws,
+      powerPlay: budgetPowerPlay,
+      doublePlay: budgetDoublePlay,
+    });
+  };
+
+  const handleSaveTicket = async () => {
+    if (!ticketDraft) return;
+    const now = new Date().toISOString();
+    try {
+      const saved = await putTicket({
+        id: newTicketId(),
+        name: ticketDraft.name,
+        lines: picks,
+        drawDates: drawDatesFrom(ticketDraft.startDate, ticketDraft.drawCount),
+        powerPlay: ticketDraft.powerPlay,
+        doublePlay: ticketDraft.doublePlay,
+        tags: parseTags(ticketDraft.tags),
+        seed: batch.seed,
+        createdAt: now,
+      });
+      setTickets((prev) => [saved, ...prev]);
+      setTicketDraft(null);
+      setCopied("ticket");
+      setTimeout(() => setCopied(null), 1200);
+    } catch (err) {
+      setTicketsError(err?.message || "Couldn't save the ticket.");
+    }
+  };
+
+  const handleEditTicket = (ticket) => {
+    setTicketsError(null);
+    setEditingTicket({
+      id: ticket.id,
+      name: ticket.name,
+      startDate: ticket.drawDates[0] ?? nextDrawIso(),
+      drawCount: Math.max(1, ticket.drawDates.length),
+      powerPlay: ticket.powerPlay,
+      doublePlay: ticket.doublePlay,
+      tags: ticket.tags.join(", "),
+    });
+  };
+
+  const handleUpdateTicket = async () => {
+    const existing = tickets.find((t) => t.id === editingTicket?.id);
+    if (!existing) return;
+    // Keep the original dates unless the schedule was actually changed.
+    const sameSchedule =
+      editingTicket.startDate === existing.drawDates[0] &&
+      editingTicket.drawCount === existing.drawDates.length;
+    try {
+      const saved = await putTicket({
+        ...existing,
+        name: editingTicket.name,
+        drawDates: sameSchedule
+          ? existing.drawDates
+          : drawDatesFrom(editingTicket.startDate, editingTicket.drawCount),
+        powerPlay: editingTicket.powerPlay,
+        doublePlay: editingTicket.doublePlay,
+        tags: parseTags(editingTicket.tags),
+        // Power Play and Double Play change the prizes, so re-check from
+        // scratch.
+        results:
+          editingTicket.powerPlay === existing.powerPlay &&
+          editingTicket.doublePlay === existing.doublePlay
+            ? existing.results
+            : [],
+      });
+      setTickets((prev) => prev.map((t) => (t.id === saved.id ? saved : t)));
+      setEditingTicket(null);
+    } catch (err) {
+      setTicketsError(err?.message || "Couldn't update the ticket.");
+    }
+  };
+
+  const handleDeleteTicket = async (ticket) => {
+    if (pendingDeleteTicketId !== ticket.id) {
+      setPendingDeleteTicketId(ticket.id);
+      return;
+    }
+    setPendingDeleteTicketId(null);
+    try {
+      await deleteTicket(ticket.id);
+      setTickets((prev) => prev.filter((t) => t.id !== ticket.id));
+      if (
+        ticketTagFilter &&
+        !tickets.some(
+          (t) => t.id !== ticket.id && t.tags.includes(ticketTagFilter)
+        )
+      ) {
+        setTicketTagFilter(null);
+      }
+    } catch (err) {
+      setTicketsError(err?.message || "Couldn't delete the ticket.");
+    }
+  };
+
+  // Shared by the save and edit ticket forms.
+  const renderTicketFields = (draft, setDraft, idPrefix, lineCount) => {
+    const update = (key, value) =>
+      setDraft((prev) => ({ ...prev, [key]: value }));
+    return (
+      <div className="grid gap-3 sm:grid-cols-2">
+        <div className="sm:col-span-2">
+          <label
+            htmlFor={`${idPrefix}-name`}
+            className="block text-xs font-semibold text-white/80"
+          >
+            Name
+          </label>
+          <input
+            id={`${idPrefix}-name`}
+            type="text"
+            maxLength={60}
+            value={draft.name}
+            onChange={(e) => update("name", e.target.value)}
+            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+          />
+        </div>
+        <div>
+          <label
+            htmlFor={`${idPrefix}-start`}
+            className="block text-xs font-semibold text-white/80"
+          >
+            First draw
+          </label>
+          <input
+            id={`${idPrefix}-start`}
+            type="date"
+            value={draft.startDate}
+            onChange={(e) => update("startDate", e.target.value)}
+            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+          />
+        </div>
+        <div>
+          <label
+            htmlFor={`${idPrefix}-draws`}
+            className="block text-xs font-semibold text-white/80"
+          >
+            Consecutive draws
+          </label>
+          <input
+            id={`${idPrefix}-draws`}
+            type="number"
+            min={1}
+            max={MAX_TICKET_DRAWS}
+            {...numberFieldProps(`${idPrefix}-draws`, draft.drawCount, (raw) =>
+              update("drawCount", clampInt(raw, 1, MAX_TICKET_DRAWS))
+            )}
+            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+          />
+        </div>
+        <div className="sm:col-span-2">
+          <label
+            htmlFor={`${idPrefix}-tags`}
+            className="block text-xs font-semibold text-white/80"
+          >
+            Tags
+          </label>
+          <input
+            id={`${idPrefix}-tags`}
+            type="text"
+            value={draft.tags}
+            onChange={(e) => update("tags", e.target.value)}
+            placeholder="e.g. office pool, birthdays"
+            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+          />
+        </div>
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2 text-sm text-white/80">
+            <input
+              type="checkbox"
+              checked={draft.powerPlay}
+              onChange={(e) => update("powerPlay", e.target.checked)}
+              className="accent-red-400"
+            />
+            Power Play
+          </label>
+          <label
+            className="flex items-center gap-2 text-sm text-white/80"
+            title="A second drawing for the same lines, +$1 per line per draw"
+          >
+            <input
+              type="checkbox"
+              checked={draft.doublePlay}
+              onChange={(e) => update("doublePlay", e.target.checked)}
+              className="accent-red-400"
+            />
+            Double Play
+          </label>
+        </div>
+        <div className="text-sm text-white/70 sm:text-right">
+          {lineCount} {lineCount === 1 ? "line" : "lines"} × {draft.drawCount}{" "}
+          {draft.drawCount === 1 ? "draw" : "draws"} ={" "}
+          <span className="font-semibold text-white">
+            $
+            {ticketCost(
+              lineCount,
+              draft.drawCount,
+              draft.powerPlay,
+              draft.doublePlay
+            ).toLocaleString()}
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  const toggleMainLocked = (n) => {
+    setMainLockedUiError(null);
+    setMainLocked((prev) => {
+      if (prev.includes(n)) return prev.filter((x) => x !== n);
+      if (prev.length >= 5) {
+        setMainLockedUiError("Main locked is limited to 5 numbers.");
+        return prev;
+      }
+      return [...prev, n].sort((a, b) => a - b);
+    });
+  };
+
+  const persistPersonalProfiles = (next) => {
+    setPersonalProfiles(next);
+    saveJson(PERSONAL_PROFILES_KEY, next);
+  };
+
+  const handleSavePersonalProfile = () => {
+    const name = personalName.trim();
+    if (!name || !personalText.trim()) return;
+    // Saving under an existing name overwrites that profile.
+    const existing = personalProfiles.find(
+      (p) => p.name.toLowerCase() === name.toLowerCase()
+    );
+    const entry = {
+      id: existing?.id ?? `p${Date.now().toString(36)}`,
+      name,
+      text: personalText,
+      method: personalMethod,
+    };
+    persistPersonalProfiles(
+      existing
+        ? personalProfiles.map((p) => (p.id === entry.id ? entry : p))
+        : [...personalProfiles, entry]
+    );
+  };
+
+  const handleLoadPersonalProfile = (profile) => {
+    setPersonalName(profile.name);
+    setPersonalText(profile.text);
+    setPersonalMethod(profile.method);
+  };
+
+  const handleDeletePersonalProfile = (profile) => {
+    persistPersonalProfiles(
+      personalProfiles.filter((p) => p.id !== profile.id)
+    );
+  };
+
+  // Main locked holds at most 5, so only the first 5 derived mains go in.
+  const handleUsePersonalNumbers = () => {
+    setMainLockedUiError(null);
+    setMainLocked(
+      personalNumbers.main.slice(0, MAIN_COUNT).sort((a, b) => a - b)
+    );
+    setPowerballLocked([...personalNumbers.powerball].sort((a, b) => a - b));
+  };
+
+  const toggleWheelPool = (n) => {
+    setWheelPool((prev) => {
+      if (!prev.includes(n) && prev.length >= WHEEL_MAX_POOL) return prev;
+      return toggleInSet(prev, n).sort((a, b) => a - b);
+    });
+  };
+
+  const togglePowerballLocked = (n) => {
+    setPowerballLocked((prev) => toggleInSet(prev, n).sort((a, b) => a - b));
+  };
+
+  const toggleMainExcluded = (n) => {
+    setMainExcluded((prev) => toggleInSet(prev, n).sort((a, b) => a - b));
+  };
+
+  const togglePowerballExcluded = (n) => {
+    setPowerballExcluded((prev) => toggleInSet(prev, n).sort((a, b) => a - b));
+  };
+
+  const topMain = Object.entries(analysis.mainFreq)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 10);
 
@@ -1241,9 +2547,48 @@ const PowerballGenerator = () => {
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5);
 
+  const topRecentMain = Object.entries(analysis.mainRecentFreq)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
+
+  // Numbers ordered most overdue first; ties go to the longer current gap.
+  const gapStats = [
+    { label: "Main", gaps: analysis.mainGaps, top: 10, pb: false },
+    { label: "Powerball", gaps: analysis.pbGaps, top: 5, pb: true },
+  ].map(({ gaps, ...rest }) => ({
+    ...rest,
+    rows: Object.entries(gaps ?? {})
+      .map(([num, gap]) => ({ num: Number(num), ...gap }))
+      .sort(
+        (a, b) =>
+          overdueRatio(b) - overdueRatio(a) ||
+          b.current - a.current ||
+          a.num - b.num
+      ),
+  }));
+
+  // Sorting every drawn triplet isn't free, so only redo it when draws change.
+  const comboStats = useMemo(
+    () => [
+      {
+        label: "Pairs",
+        size: 2,
+        freq: analysis.pairFreq,
+        ...comboRankings(analysis.pairFreq),
+      },
+      {
+        label: "Triplets",
+        size: 3,
+        freq: analysis.tripletFreq,
+        ...comboRankings(analysis.tripletFreq),
+      },
+    ],
+    [analysis]
+  );
+
   return (
     <div className="min-h-screen bg-slate-950 text-white">
-      <div className="relative isolate">
+      <div className="screen-only relative isolate">
         <div className="pointer-events-none absolute inset-0 overflow-hidden">
           <div className="absolute -top-24 left-1/2 h-[520px] w-[920px] -translate-x-1/2 rounded-full bg-[radial-gradient(circle_at_center,rgba(239,68,68,0.28),transparent_55%)] blur-2xl" />
           <div className="absolute -top-10 left-[-120px] h-[520px] w-[520px] rounded-full bg-[radial-gradient(circle_at_center,rgba(59,130,246,0.22),transparent_60%)] blur-2xl" />
@@ -1251,6 +2596,60 @@ const PowerballGenerator = () => {
         </div>
 
         <div className="mx-auto max-w-6xl px-4 py-10 sm:px-6 lg:px-8">
+          {unseenTicketResults.length > 0 ? (
+            <div
+              className={[
+                "mb-6 rounded-2xl border px-4 py-3 text-sm",
+                unseenTicketResults.some(
+                  ({ result }) => result.jackpot || result.winnings > 0
+                )
+                  ? "border-emerald-400/30 bg-emerald-500/10 text-emerald-100"
+                  : "border-white/10 bg-white/5 text-white/80",
+              ].join(" ")}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="font-semibold text-white">
+                    New results for your saved tickets
+                  </div>
+                  <ul className="mt-1 space-y-0.5">
+                    {unseenTicketResults
+                      .slice(0, 5)
+                      .map(({ ticket, result }) => (
+                        <li key={`${ticket.id}:${result.drawDate}`}>
+                          {ticket.name} · {result.drawDate}:{" "}
+                          <span className="font-semibold">
+                            {describeTicketResult(result)}
+                          </span>
+                        </li>
+                      ))}
+                  </ul>
+                  {unseenTicketResults.length > 5 ? (
+                    <div className="mt-1 text-xs opacity-70">
+                      +{unseenTicketResults.length - 5} more in My Tickets
+                    </div>
+                  ) : null}
+                </div>
+                <div className="flex shrink-0 gap-3 text-xs font-semibold">
+                  <button
+                    type="button"
+                    onClick={() => setShowTickets(true)}
+                    className="opacity-80 hover:opacity-100"
+                  >
+                    View
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleDismissTicketResults}
+                    className="opacity-80 hover:opacity-100"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            </div>
+          ) : null}
+
           <header className="mb-8">
             <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
               <div>
@@ -1396,153 +2795,15 @@ const PowerballGenerator = () => {
                 </p>
 
                 <button
-                  onClick={async () => {
-                    if (lockedError) return;
-                    setEditing(null);
-                    setEditValue("");
-                    setEditError(null);
-                    setCopied(null);
-
-                    const newPicks = generatePicks(
-                      numLines,
-                      randomness,
-                      mainLocked,
-                      powerballLocked
-                    );
-
-                    // Start animation: set all balls to white/blank first
-                    setAnimatingBalls(new Set());
-                    setDisplayPicks(
-                      newPicks.map((pick) => ({
-                        main: pick.main.map(() => null),
-                        powerball: null,
-                      }))
-                    );
-
-                    // Animate each ball in sequence
-                    const animateBall = (
-                      pickIdx,
-                      ballIdx,
-                      isPowerball,
-                      finalValue
-                    ) => {
-                      const ballKey = `${pickIdx}-${ballIdx}-${
-                        isPowerball ? "pb" : "main"
-                      }`;
-                      setAnimatingBalls((prev) => new Set(prev).add(ballKey));
-
-                      // Spin through numbers
-                      const spinDuration = 800 + Math.random() * 400; // 800-1200ms
-                      const spinSteps = 15 + Math.floor(Math.random() * 10); // 15-25 steps
-                      const stepDuration = spinDuration / spinSteps;
-                      let currentStep = 0;
-
-                      const spinInterval = setInterval(() => {
-                        currentStep++;
-                        const range = isPowerball ? 26 : 69;
-                        const randomValue =
-                          Math.floor(Math.random() * range) + 1;
-
-                        setDisplayPicks((prev) => {
-                          const updated = prev.map((p, pIdx) => {
-                            if (pIdx !== pickIdx) return p;
-                            const newPick = { ...p };
-                            if (isPowerball) {
-                              newPick.powerball = randomValue;
-                            } else {
-                              newPick.main = [...p.main];
-                              newPick.main[ballIdx] = randomValue;
-                            }
-                            return newPick;
-                          });
-                          return updated;
-                        });
-
-                        if (currentStep >= spinSteps) {
-                          clearInterval(spinInterval);
-                          // Set final value
-                          setDisplayPicks((prev) => {
-                            const updated = prev.map((p, pIdx) => {
-                              if (pIdx !== pickIdx) return p;
-                              const newPick = { ...p };
-                              if (isPowerball) {
-                                newPick.powerball = finalValue;
-                              } else {
-                                newPick.main = [...p.main];
-                                newPick.main[ballIdx] = finalValue;
-                              }
-                              return newPick;
-                            });
-                            return updated;
-                          });
-                          setAnimatingBalls((prev) => {
-                            const next = new Set(prev);
-                            next.delete(ballKey);
-                            return next;
-                          });
-                        }
-                      }, stepDuration);
-                    };
-
-                    // Animate all balls in sequence within each row
-                    newPicks.forEach((pick, pickIdx) => {
-                      // Animate main balls
-                      pick.main.forEach((finalValue, ballIdx) => {
-                        setTimeout(() => {
-                          animateBall(pickIdx, ballIdx, false, finalValue);
-                        }, pickIdx * 100 + ballIdx * 150);
-                      });
-
-                      // Animate powerball after main balls
-                      setTimeout(() => {
-                        animateBall(pickIdx, 0, true, pick.powerball);
-                      }, pickIdx * 100 + pick.main.length * 150 + 100);
-                    });
-
-                    // Set picks immediately so finalPick is available during rendering
-                    setPicks(newPicks);
-
-                    // Show success feedback
-                    setJustGenerated(true);
-                    setTimeout(() => setJustGenerated(false), 2500);
-
-                    // Increment counter
-                    try {
-                      const res = await fetch(
-                        "/api/powerball/counter/increment",
-                        {
-                          method: "POST",
-                          headers: {
-                            Accept: "application/json",
-                            "Content-Type": "application/json",
-                          },
-                          body: JSON.stringify({ count: numLines }),
-                        }
-                      );
-                      if (res.ok) {
-                        const payload = await res.json();
-                        if (payload?.count != null) {
-                          setCombinationsGenerated(payload.count);
-                        }
-                      }
-                    } catch {
-                      // Silently fail - counter is not critical
-                    }
-
-                    // Save picks to database
-                    try {
-                      await fetch("/api/powerball/picks", {
-                        method: "POST",
-                        headers: {
-                          Accept: "application/json",
-                          "Content-Type": "application/json",
-                        },
-                        body: JSON.stringify({ picks: newPicks }),
-                      });
-                    } catch {
-                      // Silently fail - saving picks is not critical
-                    }
-                  }}
+                  onClick={handleGenerate}
+                  disabled={
+                    Boolean(sharedBatch) ||
+                    Boolean(generating) ||
+                    Boolean(exclusionsError) ||
+                    Boolean(constraintsError) ||
+                    Boolean(historyError) ||
+                    Boolean(recencyError)
+                  }
                   className="mt-5 w-full rounded-xl bg-linear-to-r from-red-500 via-red-500 to-orange-400 px-5 py-3 text-sm font-semibold text-white shadow-lg shadow-red-500/20 ring-1 ring-white/10 transition hover:brightness-110 active:brightness-95 disabled:opacity-60 relative overflow-hidden"
                 >
                   <span
@@ -1550,7 +2811,9 @@ const PowerballGenerator = () => {
                       justGenerated ? "opacity-0" : "opacity-100"
                     }`}
                   >
-                    Generate New Picks
+                    {generating
+                      ? `Generating… ${generating.done.toLocaleString()}/${generating.total.toLocaleString()}`
+                      : "Generate New Picks"}
                   </span>
                   {justGenerated && (
                     <span className="absolute inset-0 flex items-center justify-center gap-2 animate-[fadeInScale_0.3s_ease-out]">
@@ -1572,6 +2835,22 @@ const PowerballGenerator = () => {
                   )}
                 </button>
 
+                {generating ? (
+                  <button
+                    type="button"
+                    onClick={handleCancelGenerate}
+                    className="mt-2 w-full text-center text-xs font-semibold text-white/70 hover:text-white"
+                  >
+                    Cancel
+                  </button>
+                ) : null}
+
+                {generateError ? (
+                  <div className="mt-3 rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-100">
+                    {generateError}
+                  </div>
+                ) : null}
+
                 <div className="mt-5 space-y-5">
                   <div>
                     <label
@@ -1585,18 +2864,180 @@ const PowerballGenerator = () => {
                         id="numLines"
                         type="number"
                         min={1}
-                        max={50}
+                        max={MAX_LINES}
                         step={1}
-                        value={numLines}
-                        onChange={(e) =>
-                          setNumLines(clampInt(e.target.value, 1, 50))
-                        }
+                        {...numberFieldProps("numLines", numLines, (raw) =>
+                          setNumLines(clampInt(raw, 1, MAX_LINES))
+                        )}
                         className="w-28 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
                       />
                       <span className="text-xs text-white/60">
                         How many lines to generate
                       </span>
                     </div>
+
+                    <button
+                      type="button"
+                      onClick={() => setShowBudget((v) => !v)}
+                      className="mt-2 text-xs font-semibold text-white/70 hover:text-white"
+                    >
+                      {showBudget ? "▼" : "▶"} Plan from a budget
+                    </button>
+                    {showBudget ? (
+                      <div className="mt-2 space-y-3 rounded-2xl border border-white/10 bg-white/5 p-3">
+                        <div className="grid grid-cols-3 gap-2">
+                          <div>
+                            <label
+                              htmlFor="budgetPeople"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              People
+                            </label>
+                            <input
+                              id="budgetPeople"
+                              type="number"
+                              min={1}
+                              max={1000}
+                              {...numberFieldProps(
+                                "budgetPeople",
+                                budgetPeople,
+                                (raw) => setBudgetPeople(clampInt(raw, 1, 1000))
+                              )}
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                          </div>
+                          <div>
+                            <label
+                              htmlFor="budgetEach"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              Each puts in ($)
+                            </label>
+                            <input
+                              id="budgetEach"
+                              type="number"
+                              min={1}
+                              max={100000}
+                              {...numberFieldProps(
+                                "budgetEach",
+                                budgetEach,
+                                (raw) => setBudgetEach(clampInt(raw, 1, 100000))
+                              )}
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                          </div>
+                          <div>
+                            <label
+                              htmlFor="budgetDraws"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              Draws
+                            </label>
+                            <input
+                              id="budgetDraws"
+                              type="number"
+                              min={1}
+                              max={MAX_TICKET_DRAWS}
+                              {...numberFieldProps(
+                                "budgetDraws",
+                                budgetDraws,
+                                (raw) =>
+                                  setBudgetDraws(
+                                    clampInt(raw, 1, MAX_TICKET_DRAWS)
+                                  )
+                              )}
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                          </div>
+                        </div>
+                        <div className="flex flex-wrap gap-4">
+                          <label className="flex items-center gap-2 text-xs text-white/80">
+                            <input
+                              type="checkbox"
+                              checked={budgetPowerPlay}
+                              onChange={(e) =>
+                                setBudgetPowerPlay(e.target.checked)
+                              }
+                              className="accent-red-400"
+                            />
+                            Power Play (+${POWER_PLAY_PRICE})
+                          </label>
+                          <label className="flex items-center gap-2 text-xs text-white/80">
+                            <input
+                              type="checkbox"
+                              checked={budgetDoublePlay}
+                              onChange={(e) =>
+                                setBudgetDoublePlay(e.target.checked)
+                              }
+                              className="accent-red-400"
+                            />
+                            Double Play (+${DOUBLE_PLAY_PRICE})
+                          </label>
+                        </div>
+
+                        {budgetPlan.error ? (
+                          <div className="text-xs text-amber-100">
+                            {budgetPlan.error}
+                          </div>
+                        ) : (
+                          <div className="space-y-1 text-xs text-white/70">
+                            <div>
+                              ${(budgetPeople * budgetEach).toLocaleString()}{" "}
+                              buys{" "}
+                              <span className="font-semibold text-white">
+                                {budgetPlan.lines.toLocaleString()}{" "}
+                                {budgetPlan.lines === 1 ? "line" : "lines"}
+                              </span>{" "}
+                              at ${budgetPlan.price} × {budgetDraws}{" "}
+                              {budgetDraws === 1 ? "draw" : "draws"} ($
+                              {budgetPlan.perDraw.toLocaleString()} per draw).
+                            </div>
+                            <div>
+                              Total{" "}
+                              <span className="font-semibold text-white">
+                                ${budgetPlan.cost.toLocaleString()}
+                              </span>
+                              {budgetPlan.leftover > 0
+                                ? ` · $${budgetPlan.leftover.toLocaleString()} left over`
+                                : ""}
+                              {budgetPeople > 1
+                                ? ` · $${(
+                                    budgetPlan.cost / budgetPeople
+                                  ).toLocaleString(undefined, {
+                                    maximumFractionDigits: 2,
+                                  })} each`
+                                : ""}
+                            </div>
+                            <div className="text-white/50">
+                              {budgetDraws === 1
+                                ? `Draw: ${budgetDrawDates[0]}`
+                                : `Draws: ${budgetDrawDates[0]} → ${
+                                    budgetDrawDates[budgetDraws - 1]
+                                  }`}
+                            </div>
+                            {budgetPlan.capped ? (
+                              <div className="text-amber-100">
+                                Capped at {MAX_LINES.toLocaleString()} lines,
+                                the most we generate at once.
+                              </div>
+                            ) : null}
+                          </div>
+                        )}
+                        <button
+                          type="button"
+                          onClick={handleApplyBudget}
+                          disabled={Boolean(budgetPlan.error)}
+                          className="rounded-xl bg-white/10 px-3 py-1.5 text-xs font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                        >
+                          Use{" "}
+                          {budgetPlan.error
+                            ? ""
+                            : `${budgetPlan.lines.toLocaleString()} `}
+                          lines
+                          {numLines === budgetPlan.lines ? " ✓" : ""}
+                        </button>
+                      </div>
+                    ) : null}
                   </div>
 
                   <div>
@@ -1657,10 +3098,10 @@ const PowerballGenerator = () => {
                       </option>
                       <option value="hot">Hot Numbers (Most frequent)</option>
                       <option value="recent-hot">
-                        Recent Hot (Most recent 36 draws)
+                        Recent Hot (Most frequent in recent window)
                       </option>
                       <option value="cold-recently">
-                        Cold Recently (Least frequent in recent 36 draws)
+                        Cold Recently (Least frequent in recent window)
                       </option>
                       <option value="cold">
                         Cold Numbers (Least frequent)
@@ -1668,6 +3109,27 @@ const PowerballGenerator = () => {
                       <option value="even-spread">
                         Even Spread (Avoid clustering)
                       </option>
+                      <option value="overdue">
+                        Overdue (Longest past their usual gap)
+                      </option>
+                      <option value="hot-pairs">
+                        Hot Pairs (Often drawn together)
+                      </option>
+                      <option value="cold-pairs">
+                        Cold Pairs (Rarely drawn together)
+                      </option>
+                      <option value="unpopular">
+                        Unpopular (Avoid jackpot splits)
+                      </option>
+                      {customStrategies.length > 0 ? (
+                        <optgroup label="Custom">
+                          {customStrategies.map((s) => (
+                            <option key={s.id} value={`custom:${s.id}`}>
+                              {s.name}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ) : null}
                     </select>
                     <p className="mt-2 text-xs text-white/60">
                       {strategy === "balanced" &&
@@ -1675,16 +3137,499 @@ const PowerballGenerator = () => {
                       {strategy === "hot" &&
                         "Favors numbers that appear most often"}
                       {strategy === "recent-hot" &&
-                        "Favors numbers from the most recent 36 draws"}
+                        `Favors numbers drawn most in the ${describeRecency(
+                          recency
+                        )}`}
                       {strategy === "cold-recently" &&
-                        "Favors numbers that rarely appeared in the most recent 36 draws"}
+                        `Favors numbers that rarely appeared in the ${describeRecency(
+                          recency
+                        )}`}
                       {strategy === "cold" &&
                         "Favors numbers that rarely appear"}
                       {strategy === "even-spread" &&
                         "Favors numbers spread across the range"}
+                      {strategy === "overdue" &&
+                        "Favors numbers whose draws-since-last-seen most exceeds their average gap"}
+                      {strategy === "hot-pairs" &&
+                        "Builds each line from numbers often drawn with the ones already in it"}
+                      {strategy === "cold-pairs" &&
+                        "Builds each line from numbers rarely drawn with the ones already in it"}
+                      {strategy === "unpopular" &&
+                        "Avoids birthday numbers (1–31) and skips runs, equal steps and single-decade lines, so a jackpot is less likely to be shared"}
+                      {selectedCustom &&
+                        `Mix: ${blendPercents(selectedCustom.blend)
+                          .map(([key, pct]) => `${pct}% ${STRATEGY_NAMES[key]}`)
+                          .join(" + ")}`}
+                    </p>
+                    {selectedCustom ? (
+                      <div className="mt-2 flex gap-3 text-xs font-semibold">
+                        <button
+                          type="button"
+                          onClick={handleEditBlend}
+                          className="text-white/70 hover:text-white"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={handleDeleteBlend}
+                          className="text-white/70 hover:text-white"
+                        >
+                          {selectedCustom.id === SHARED_BLEND_ID
+                            ? "Dismiss"
+                            : "Delete"}
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+                    <button
+                      type="button"
+                      onClick={() => setShowBlendBuilder((prev) => !prev)}
+                      className="flex w-full items-center justify-between gap-2 text-left"
+                    >
+                      <span className="text-sm font-semibold text-white/90">
+                        Build a custom strategy
+                      </span>
+                      <span className="text-xs text-white/50">
+                        {showBlendBuilder ? "▼" : "▶"}
+                      </span>
+                    </button>
+
+                    {showBlendBuilder ? (
+                      <div className="mt-3 space-y-3">
+                        <p className="text-xs text-white/60">
+                          Mix the built-in strategies. Shares are relative, so
+                          they don’t need to add up to 100. Saved strategies
+                          stay in this browser.
+                        </p>
+
+                        {BLEND_COMPONENTS.map((key) => {
+                          const pct =
+                            blendPercents(draftBlend).find(
+                              ([k]) => k === key
+                            )?.[1] ?? 0;
+                          return (
+                            <div key={key}>
+                              <div className="flex items-center justify-between text-xs">
+                                <label
+                                  htmlFor={`blend-${key}`}
+                                  className="font-semibold text-white/80"
+                                >
+                                  {STRATEGY_NAMES[key]}
+                                </label>
+                                <span className="text-white/60">{pct}%</span>
+                              </div>
+                              <input
+                                id={`blend-${key}`}
+                                type="range"
+                                min={0}
+                                max={100}
+                                step={5}
+                                value={blendDraft[key] ?? 0}
+                                onChange={(e) =>
+                                  setBlendDraft((prev) => ({
+                                    ...prev,
+                                    [key]: clampInt(e.target.value, 0, 100),
+                                  }))
+                                }
+                                className="mt-1 w-full accent-red-400"
+                              />
+                            </div>
+                          );
+                        })}
+
+                        <div>
+                          <label
+                            htmlFor="blendName"
+                            className="block text-xs font-semibold text-white/80"
+                          >
+                            Name
+                          </label>
+                          <input
+                            id="blendName"
+                            type="text"
+                            maxLength={40}
+                            value={blendName}
+                            onChange={(e) => setBlendName(e.target.value)}
+                            placeholder="e.g. Mostly hot"
+                            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                          />
+                        </div>
+
+                        {draftBlend ? null : (
+                          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                            Give at least one component a share.
+                          </div>
+                        )}
+
+                        <button
+                          type="button"
+                          onClick={handleSaveBlend}
+                          disabled={!blendName.trim() || !draftBlend}
+                          className="w-full rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                        >
+                          Save strategy
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div>
+                    <label
+                      htmlFor="history"
+                      className="block text-sm font-semibold text-white/90"
+                    >
+                      History
+                    </label>
+                    <select
+                      id="history"
+                      value={historyMode}
+                      onChange={(e) =>
+                        setHistory(
+                          e.target.value === "range" ? "~" : e.target.value
+                        )
+                      }
+                      className="mt-2 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    >
+                      {GAME_ERAS.map((era) => (
+                        <option key={era.id} value={era.id}>
+                          {era.label}
+                        </option>
+                      ))}
+                      <option value="all">All draws (mixed eras)</option>
+                      <option value="range">Custom date range</option>
+                    </select>
+                    {historyMode === "range" ? (
+                      <div className="mt-2 grid grid-cols-2 gap-2">
+                        {["from", "to"].map((side) => (
+                          <div key={side}>
+                            <label
+                              htmlFor={`history-${side}`}
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              {side === "from" ? "From" : "To"}
+                            </label>
+                            <input
+                              id={`history-${side}`}
+                              type="date"
+                              value={historyRange(history)[side] ?? ""}
+                              onChange={(e) => {
+                                const next = {
+                                  ...historyRange(history),
+                                  [side]: e.target.value || null,
+                                };
+                                setHistory(
+                                  `${next.from ?? ""}~${next.to ?? ""}`
+                                );
+                              }}
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    ) : null}
+                    {historyError ? (
+                      <div className="mt-2 rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                        {historyError}
+                      </div>
+                    ) : null}
+                    <p className="mt-2 text-xs text-white/60">
+                      Frequencies, pairs, gaps and strategies use{" "}
+                      {analysis.drawCount.toLocaleString()}{" "}
+                      {analysis.drawCount === 1 ? "draw" : "draws"}.
+                      {outOfMatrixCount > 0
+                        ? ` ${outOfMatrixCount.toLocaleString()} of them use numbers outside today’s 69/26 matrix.`
+                        : ""}
                     </p>
                   </div>
 
+                  <div>
+                    <label
+                      htmlFor="recencyMode"
+                      className="block text-sm font-semibold text-white/90"
+                    >
+                      Recent window
+                    </label>
+                    <div className="mt-2 flex items-center gap-2">
+                      <select
+                        id="recencyMode"
+                        value={recencyMode(recency)}
+                        onChange={(e) =>
+                          setRecency(
+                            { draws: "36", days: "90d", range: "~" }[
+                              e.target.value
+                            ]
+                          )
+                        }
+                        className="w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                      >
+                        <option value="draws">Last N draws</option>
+                        <option value="days">Last N days</option>
+                        <option value="range">Date range</option>
+                      </select>
+                      {recencyMode(recency) === "range" ? null : (
+                        <input
+                          type="number"
+                          min={1}
+                          max={
+                            recencyMode(recency) === "days"
+                              ? MAX_RECENT_DAYS
+                              : MAX_RECENT_DRAWS
+                          }
+                          value={Number.parseInt(recency, 10) || ""}
+                          onChange={(e) =>
+                            setRecency(
+                              `${e.target.value}${
+                                recencyMode(recency) === "days" ? "d" : ""
+                              }`
+                            )
+                          }
+                          aria-label={
+                            recencyMode(recency) === "days"
+                              ? "Number of days"
+                              : "Number of draws"
+                          }
+                          className="w-24 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                        />
+                      )}
+                    </div>
+                    {recencyMode(recency) === "draws" ? (
+                      <div className="mt-2 flex gap-2">
+                        {["10", "36", "100"].map((preset) => (
+                          <button
+                            key={preset}
+                            type="button"
+                            onClick={() => setRecency(preset)}
+                            className={[
+                              "rounded-full px-3 py-1 text-xs font-semibold ring-1 transition",
+                              recency === preset
+                                ? "bg-white/15 text-white ring-white/30"
+                                : "bg-white/5 text-white/70 ring-white/10 hover:text-white",
+                            ].join(" ")}
+                          >
+                            {preset}
+                          </button>
+                        ))}
+                      </div>
+                    ) : null}
+                    {recencyMode(recency) === "range" ? (
+                      <div className="mt-2 grid grid-cols-2 gap-2">
+                        {["from", "to"].map((side) => (
+                          <div key={side}>
+                            <label
+                              htmlFor={`recency-${side}`}
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              {side === "from" ? "From" : "To"}
+                            </label>
+                            <input
+                              id={`recency-${side}`}
+                              type="date"
+                              value={historyRange(recency)[side] ?? ""}
+                              onChange={(e) => {
+                                const next = {
+                                  ...historyRange(recency),
+                                  [side]: e.target.value || null,
+                                };
+                                setRecency(
+                                  `${next.from ?? ""}~${next.to ?? ""}`
+                                );
+                              }}
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    ) : null}
+                    {recencyError ? (
+                      <div className="mt-2 rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                        {recencyError}
+                      </div>
+                    ) : (
+                      <p className="mt-2 text-xs text-white/60">
+                        Recent Hot, Cold Recently and the recent stats use{" "}
+                        {analysis.recentDrawCount.toLocaleString()}{" "}
+                        {analysis.recentDrawCount === 1 ? "draw" : "draws"}.
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+                    <button
+                      type="button"
+                      onClick={() => setShowPersonal((prev) => !prev)}
+                      className="flex w-full items-center justify-between gap-2 text-left"
+                    >
+                      <span className="text-sm font-semibold text-white/90">
+                        Personal numbers
+                      </span>
+                      <span className="text-xs text-white/50">
+                        {showPersonal ? "▼" : "▶"}
+                      </span>
+                    </button>
+
+                    {showPersonal ? (
+                      <div className="mt-3 space-y-3">
+                        <p className="text-xs text-white/60">
+                          Turn birthdays, anniversaries, names or any text into
+                          numbers. One entry per line; dates like 1985-07-14 or
+                          7/14/1985.
+                        </p>
+
+                        {personalProfiles.length > 0 ? (
+                          <div className="flex flex-wrap gap-2">
+                            {personalProfiles.map((p) => (
+                              <span
+                                key={p.id}
+                                className="inline-flex items-center gap-1 rounded-full bg-white/5 px-3 py-1 text-xs ring-1 ring-white/10"
+                              >
+                                <button
+                                  type="button"
+                                  onClick={() => handleLoadPersonalProfile(p)}
+                                  className="font-semibold text-white/80 hover:text-white"
+                                  title="Load this profile"
+                                >
+                                  {p.name}
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleDeletePersonalProfile(p)}
+                                  className="text-white/40 hover:text-white"
+                                  title="Delete this profile"
+                                >
+                                  ×
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        ) : null}
+
+                        <textarea
+                          value={personalText}
+                          onChange={(e) => setPersonalText(e.target.value)}
+                          rows={3}
+                          placeholder={"1985-07-14\nAlex\n6/21/2012"}
+                          className="w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                        />
+
+                        <div>
+                          <label
+                            htmlFor="personalMethod"
+                            className="block text-xs font-semibold text-white/80"
+                          >
+                            Method
+                          </label>
+                          <select
+                            id="personalMethod"
+                            value={personalMethod}
+                            onChange={(e) => setPersonalMethod(e.target.value)}
+                            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                          >
+                            {PERSONAL_METHODS.map((m) => (
+                              <option key={m.id} value={m.id}>
+                                {m.label}
+                              </option>
+                            ))}
+                          </select>
+                          <p className="mt-1 text-xs text-white/60">
+                            {
+                              PERSONAL_METHODS.find(
+                                (m) => m.id === personalMethod
+                              )?.description
+                            }
+                          </p>
+                        </div>
+
+                        {personalNumbers.steps.length > 0 ? (
+                          <ul className="space-y-1 text-xs text-white/70">
+                            {personalNumbers.steps.map((step, i) => (
+                              <li key={i}>
+                                <span className="font-semibold text-white/90">
+                                  {step.entry}
+                                </span>
+                                {": "}
+                                {step.skipped
+                                  ? `skipped (${step.skipped})`
+                                  : [
+                                      ...step.main.map(
+                                        (x) => `${x.n} (${x.how})`
+                                      ),
+                                      ...step.powerball.map(
+                                        (x) => `PB ${x.n} (${x.how})`
+                                      ),
+                                    ].join(", ")}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : null}
+
+                        <div className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-white/70">
+                          <div>
+                            Main:{" "}
+                            <span className="font-semibold text-white">
+                              {personalNumbers.main.length > 0
+                                ? personalNumbers.main.join(", ")
+                                : "—"}
+                            </span>
+                          </div>
+                          <div className="mt-1">
+                            Powerball:{" "}
+                            <span className="font-semibold text-white">
+                              {personalNumbers.powerball.length > 0
+                                ? personalNumbers.powerball.join(", ")
+                                : "—"}
+                            </span>
+                          </div>
+                          {personalNumbers.main.length > MAIN_COUNT ? (
+                            <div className="mt-1 text-white/50">
+                              Only the first {MAIN_COUNT} main numbers can be
+                              locked.
+                            </div>
+                          ) : null}
+                        </div>
+
+                        <button
+                          type="button"
+                          onClick={handleUsePersonalNumbers}
+                          disabled={
+                            personalNumbers.main.length === 0 &&
+                            personalNumbers.powerball.length === 0
+                          }
+                          className="w-full rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                        >
+                          Use as locked numbers
+                        </button>
+
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            maxLength={40}
+                            value={personalName}
+                            onChange={(e) => setPersonalName(e.target.value)}
+                            placeholder="Profile name"
+                            aria-label="Profile name"
+                            className="min-w-0 flex-1 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                          />
+                          <button
+                            type="button"
+                            onClick={handleSavePersonalProfile}
+                            disabled={
+                              !personalName.trim() || !personalText.trim()
+                            }
+                            className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                          >
+                            Save
+                          </button>
+                        </div>
+                        <p className="text-xs text-white/50">
+                          Profiles stay in this browser.
+                        </p>
+                      </div>
+                    ) : null}
+                  </div>
+
                   <div>
                     <div className="flex items-center justify-between gap-3">
                       <button
@@ -1819,6 +3764,570 @@ const PowerballGenerator = () => {
                     ) : null}
                   </div>
 
+                  <div>
+                    <div className="flex items-center justify-between gap-3">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setShowMainExcludedPicker((prev) => !prev)
+                        }
+                        className="flex items-center gap-2 text-left"
+                      >
+                        <span className="text-sm font-semibold text-white/90">
+                          Main excluded
+                        </span>
+                        <span className="text-xs text-white/50">
+                          ({mainExcluded.length})
+                        </span>
+                        <span className="text-xs text-white/50">
+                          {showMainExcludedPicker ? "▼" : "▶"}
+                        </span>
+                      </button>
+
+                      {mainExcluded.length > 0 ? (
+                        <button
+                          type="button"
+                          onClick={() => setMainExcluded([])}
+                          className="text-xs font-semibold text-white/70 hover:text-white"
+                        >
+                          Clear
+                        </button>
+                      ) : null}
+                    </div>
+
+                    {showMainExcludedPicker ? (
+                      <div className="mt-3 rounded-2xl border border-white/10 bg-white/5 p-3">
+                        <div className="max-h-[340px] overflow-auto pr-1">
+                          <div className="grid gap-2 grid-cols-[repeat(auto-fill,minmax(2.25rem,1fr))] sm:grid-cols-[repeat(auto-fill,minmax(2.5rem,1fr))]">
+                            {mainBallNumbers.map((n) => {
+                              const selected = mainExcluded.includes(n);
+                              return (
+                                <button
+                                  key={n}
+                                  type="button"
+                                  onClick={() => toggleMainExcluded(n)}
+                                  className={[
+                                    "aspect-square w-full rounded-full font-extrabold text-[11px] sm:text-xs transition",
+                                    selected
+                                      ? "bg-white/20 text-white/50 line-through ring-2 ring-inset ring-white/30"
+                                      : "bg-white text-slate-900 ring-1 ring-white/25 hover:brightness-105",
+                                  ].join(" ")}
+                                  title={
+                                    selected
+                                      ? "Include again"
+                                      : "Exclude this number"
+                                  }
+                                >
+                                  {String(n).padStart(2, "0")}
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </div>
+                        <p className="mt-3 text-xs text-white/60">
+                          Click balls to exclude/include. Excluded numbers never
+                          appear in generated lines.
+                        </p>
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between gap-3">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setShowPowerballExcludedPicker((prev) => !prev)
+                        }
+                        className="flex items-center gap-2 text-left"
+                      >
+                        <span className="text-sm font-semibold text-white/90">
+                          Powerball excluded
+                        </span>
+                        <span className="text-xs text-white/50">
+                          ({powerballExcluded.length})
+                        </span>
+                        <span className="text-xs text-white/50">
+                          {showPowerballExcludedPicker ? "▼" : "▶"}
+                        </span>
+                      </button>
+
+                      {powerballExcluded.length > 0 ? (
+                        <button
+                          type="button"
+                          onClick={() => setPowerballExcluded([])}
+                          className="text-xs font-semibold text-white/70 hover:text-white"
+                        >
+                          Clear
+                        </button>
+                      ) : null}
+                    </div>
+
+                    {showPowerballExcludedPicker ? (
+                      <div className="mt-3 rounded-2xl border border-white/10 bg-white/5 p-3">
+                        <div className="grid gap-2 grid-cols-[repeat(auto-fill,minmax(2.25rem,1fr))] sm:grid-cols-[repeat(auto-fill,minmax(2.5rem,1fr))]">
+                          {powerballNumbers.map((n) => {
+                            const selected = powerballExcluded.includes(n);
+                            return (
+                              <button
+                                key={n}
+                                type="button"
+                                onClick={() => togglePowerballExcluded(n)}
+                                className={[
+                                  "aspect-square w-full rounded-full font-extrabold text-[11px] sm:text-xs transition shadow-sm",
+                                  selected
+                                    ? "bg-red-900/40 text-white/40 line-through ring-2 ring-inset ring-red-300/30"
+                                    : "bg-linear-to-b from-red-500/70 to-red-700/70 text-white ring-1 ring-red-300/30 hover:brightness-110",
+                                ].join(" ")}
+                                title={
+                                  selected
+                                    ? "Include again"
+                                    : "Exclude this Powerball"
+                                }
+                              >
+                                {String(n).padStart(2, "0")}
+                              </button>
+                            );
+                          })}
+                        </div>
+                        <p className="mt-3 text-xs text-white/60">
+                          Excluded Powerballs are never picked, including for
+                          wheels.
+                        </p>
+                      </div>
+                    ) : null}
+
+                    {exclusionsError ? (
+                      <div className="mt-2 rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                        {exclusionsError}
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div>
+                    <label className="flex items-start gap-2 text-sm text-white/80">
+                      <input
+                        type="checkbox"
+                        checked={maximizeCoverage}
+                        onChange={(e) => setMaximizeCoverage(e.target.checked)}
+                        className="mt-0.5 accent-red-400"
+                      />
+                      <span>
+                        <span className="font-semibold text-white/90">
+                          Maximize coverage
+                        </span>
+                        <span className="mt-1 block text-xs text-white/60">
+                          Spread main numbers, pairs and Powerballs across the
+                          batch so lines overlap as little as possible. Best for
+                          group plays.
+                        </span>
+                      </span>
+                    </label>
+                  </div>
+
+                  <div>
+                    <div className="block text-sm font-semibold text-white/90">
+                      Past winners
+                    </div>
+                    <p className="mt-1 text-xs text-white/60">
+                      Lines that repeat a previous jackpot combination are
+                      always regenerated.
+                    </p>
+                    <label className="mt-2 flex items-start gap-2 text-sm text-white/80">
+                      <input
+                        type="checkbox"
+                        checked={rejectDrawnWhites}
+                        onChange={(e) => setRejectDrawnWhites(e.target.checked)}
+                        className="mt-0.5 accent-red-400"
+                      />
+                      <span>
+                        Also skip any 5 white balls that were drawn before
+                        (regardless of Powerball)
+                      </span>
+                    </label>
+                  </div>
+
+                  <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+                    <button
+                      type="button"
+                      onClick={() => setShowConstraints((prev) => !prev)}
+                      className="flex w-full items-center justify-between gap-2 text-left"
+                    >
+                      <span className="text-sm font-semibold text-white/90">
+                        Pattern filters
+                        {hasConstraints(constraints) ? (
+                          <span className="ml-2 text-xs font-normal text-white/50">
+                            (on)
+                          </span>
+                        ) : null}
+                      </span>
+                      <span className="text-xs text-white/50">
+                        {showConstraints ? "▼" : "▶"}
+                      </span>
+                    </button>
+
+                    {showConstraints ? (
+                      <div className="mt-3 space-y-3">
+                        <p className="text-xs text-white/60">
+                          Lines that don’t fit these rules are redrawn. Leave a
+                          field on Any to ignore it.
+                        </p>
+
+                        <div>
+                          <div className="block text-xs font-semibold text-white/80">
+                            Sum of main numbers
+                          </div>
+                          <div className="mt-1 flex items-center gap-2">
+                            <input
+                              type="number"
+                              min={MIN_SUM}
+                              max={MAX_SUM}
+                              placeholder={String(MIN_SUM)}
+                              {...numberFieldProps(
+                                "sumMin",
+                                constraints.sumMin,
+                                (raw) =>
+                                  setConstraint(
+                                    "sumMin",
+                                    raw === ""
+                                      ? null
+                                      : clampInt(raw, MIN_SUM, MAX_SUM)
+                                  )
+                              )}
+                              aria-label="Minimum sum"
+                              className="w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                            <span className="text-xs text-white/50">to</span>
+                            <input
+                              type="number"
+                              min={MIN_SUM}
+                              max={MAX_SUM}
+                              placeholder={String(MAX_SUM)}
+                              {...numberFieldProps(
+                                "sumMax",
+                                constraints.sumMax,
+                                (raw) =>
+                                  setConstraint(
+                                    "sumMax",
+                                    raw === ""
+                                      ? null
+                                      : clampInt(raw, MIN_SUM, MAX_SUM)
+                                  )
+                              )}
+                              aria-label="Maximum sum"
+                              className="w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            />
+                          </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label
+                              htmlFor="constraint-oddCount"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              Odd numbers
+                            </label>
+                            <select
+                              id="constraint-oddCount"
+                              value={constraints.oddCount ?? ""}
+                              onChange={(e) =>
+                                setConstraint(
+                                  "oddCount",
+                                  e.target.value === ""
+                                    ? null
+                                    : Number(e.target.value)
+                                )
+                              }
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            >
+                              <option value="">Any</option>
+                              <option value="0">0 odd / 5 even</option>
+                              <option value="1">1 odd / 4 even</option>
+                              <option value="2">2 odd / 3 even</option>
+                              <option value="3">3 odd / 2 even</option>
+                              <option value="4">4 odd / 1 even</option>
+                              <option value="5">5 odd / 0 even</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label
+                              htmlFor="constraint-highCount"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              High (35+)
+                            </label>
+                            <select
+                              id="constraint-highCount"
+                              value={constraints.highCount ?? ""}
+                              onChange={(e) =>
+                                setConstraint(
+                                  "highCount",
+                                  e.target.value === ""
+                                    ? null
+                                    : Number(e.target.value)
+                                )
+                              }
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            >
+                              <option value="">Any</option>
+                              <option value="0">0 high / 5 low</option>
+                              <option value="1">1 high / 4 low</option>
+                              <option value="2">2 high / 3 low</option>
+                              <option value="3">3 high / 2 low</option>
+                              <option value="4">4 high / 1 low</option>
+                              <option value="5">5 high / 0 low</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label
+                              htmlFor="constraint-maxRun"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              Longest run
+                            </label>
+                            <select
+                              id="constraint-maxRun"
+                              value={constraints.maxRun ?? ""}
+                              onChange={(e) =>
+                                setConstraint(
+                                  "maxRun",
+                                  e.target.value === ""
+                                    ? null
+                                    : Number(e.target.value)
+                                )
+                              }
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            >
+                              <option value="">Any</option>
+                              <option value="1">No consecutive</option>
+                              <option value="2">At most 2 in a row</option>
+                              <option value="3">At most 3 in a row</option>
+                              <option value="4">At most 4 in a row</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label
+                              htmlFor="constraint-maxPerDecade"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              Per decade
+                            </label>
+                            <select
+                              id="constraint-maxPerDecade"
+                              value={constraints.maxPerDecade ?? ""}
+                              onChange={(e) =>
+                                setConstraint(
+                                  "maxPerDecade",
+                                  e.target.value === ""
+                                    ? null
+                                    : Number(e.target.value)
+                                )
+                              }
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            >
+                              <option value="">Any</option>
+                              <option value="1">At most 1</option>
+                              <option value="2">At most 2</option>
+                              <option value="3">At most 3</option>
+                              <option value="4">At most 4</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label
+                              htmlFor="constraint-minLastDigits"
+                              className="block text-xs font-semibold text-white/80"
+                            >
+                              Last digits
+                            </label>
+                            <select
+                              id="constraint-minLastDigits"
+                              value={constraints.minLastDigits ?? ""}
+                              onChange={(e) =>
+                                setConstraint(
+                                  "minLastDigits",
+                                  e.target.value === ""
+                                    ? null
+                                    : Number(e.target.value)
+                                )
+                              }
+                              className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                            >
+                              <option value="">Any</option>
+                              <option value="2">At least 2 different</option>
+                              <option value="3">At least 3 different</option>
+                              <option value="4">At least 4 different</option>
+                              <option value="5">At least 5 different</option>
+                            </select>
+                          </div>
+                        </div>
+
+                        {constraintsError ? (
+                          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                            {constraintsError}
+                          </div>
+                        ) : null}
+
+                        {hasConstraints(constraints) ? (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setGenerateError(null);
+                              setConstraints(DEFAULT_CONSTRAINTS);
+                            }}
+                            className="text-xs font-semibold text-white/70 hover:text-white"
+                          >
+                            Clear filters
+                          </button>
+                        ) : null}
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+                    <button
+                      type="button"
+                      onClick={() => setShowWheel((prev) => !prev)}
+                      className="flex w-full items-center justify-between gap-2 text-left"
+                    >
+                      <span className="text-sm font-semibold text-white/90">
+                        Wheel a number pool
+                      </span>
+                      <span className="text-xs text-white/50">
+                        {showWheel ? "▼" : "▶"}
+                      </span>
+                    </button>
+
+                    {showWheel ? (
+                      <div className="mt-3 space-y-3">
+                        <p className="text-xs text-white/60">
+                          Pick {WHEEL_MAX_POOL} or fewer favorite main numbers.
+                          A full wheel plays every combination; an abbreviated
+                          wheel plays the fewest lines that still guarantee a
+                          match. Powerballs come from your Powerball locked
+                          numbers (cycled) or the current strategy.
+                        </p>
+
+                        <div className="flex items-center justify-between gap-3 text-xs text-white/60">
+                          <span>
+                            Pool ({wheelPool.length}/{WHEEL_MAX_POOL})
+                          </span>
+                          {wheelPool.length > 0 ? (
+                            <button
+                              type="button"
+                              onClick={() => setWheelPool([])}
+                              className="font-semibold text-white/70 hover:text-white"
+                            >
+                              Clear
+                            </button>
+                          ) : null}
+                        </div>
+
+                        <div className="max-h-[240px] overflow-auto pr-1">
+                          <div className="grid gap-2 grid-cols-[repeat(auto-fill,minmax(2.25rem,1fr))] sm:grid-cols-[repeat(auto-fill,minmax(2.5rem,1fr))]">
+                            {mainBallNumbers.map((n) => {
+                              const selected = wheelPool.includes(n);
+                              return (
+                                <button
+                                  key={n}
+                                  type="button"
+                                  onClick={() => toggleWheelPool(n)}
+                                  className={[
+                                    "aspect-square w-full rounded-full font-extrabold text-[11px] sm:text-xs transition",
+                                    selected
+                                      ? "bg-white text-slate-900 ring-4 ring-inset ring-sky-400/70"
+                                      : "bg-white text-slate-900 ring-1 ring-white/25 hover:brightness-105",
+                                  ].join(" ")}
+                                  title={
+                                    selected
+                                      ? "Remove from pool"
+                                      : "Add to pool"
+                                  }
+                                >
+                                  {String(n).padStart(2, "0")}
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </div>
+
+                        <div>
+                          <label
+                            htmlFor="wheelGuarantee"
+                            className="block text-xs font-semibold text-white/80"
+                          >
+                            Wheel type
+                          </label>
+                          <select
+                            id="wheelGuarantee"
+                            value={wheelGuarantee}
+                            onChange={(e) => setWheelGuarantee(e.target.value)}
+                            className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                          >
+                            <option value="full">
+                              Full wheel (every combination)
+                            </option>
+                            {WHEEL_GUARANTEES.map(({ match, ifDrawn }) => (
+                              <option
+                                key={`${match}-${ifDrawn}`}
+                                value={`${match}-${ifDrawn}`}
+                              >
+                                Abbreviated: {match} if {ifDrawn}
+                              </option>
+                            ))}
+                          </select>
+                          {wheelSpec.full ? null : (
+                            <p className="mt-1 text-xs text-white/50">
+                              If {wheelSpec.ifDrawn} of the 5 winning white
+                              balls are in your pool, at least one line has{" "}
+                              {wheelSpec.match} of them.
+                            </p>
+                          )}
+                        </div>
+
+                        {wheelPreview?.lines ? (
+                          <div className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-white/70">
+                            <span className="font-semibold text-white">
+                              {wheelPreview.lines.length.toLocaleString()}
+                            </span>{" "}
+                            {wheelPreview.lines.length === 1 ? "line" : "lines"}{" "}
+                            ·{" "}
+                            <span className="font-semibold text-white">
+                              $
+                              {(
+                                wheelPreview.lines.length * TICKET_PRICE
+                              ).toLocaleString()}
+                            </span>{" "}
+                            at ${TICKET_PRICE}/line
+                          </div>
+                        ) : null}
+
+                        {wheelPreview?.error ? (
+                          <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                            {wheelPreview.error}
+                          </div>
+                        ) : null}
+
+                        <button
+                          type="button"
+                          onClick={handleGenerateWheel}
+                          disabled={
+                            !wheelPreview?.lines ||
+                            Boolean(wheelPreview.error) ||
+                            Boolean(exclusionsError) ||
+                            Boolean(historyError) ||
+                            Boolean(recencyError) ||
+                            Boolean(sharedBatch) ||
+                            Boolean(generating)
+                          }
+                          className="w-full rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                        >
+                          Generate wheel
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+
                   {lockedError ? (
                     <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
                       {lockedError}
@@ -1854,21 +4363,200 @@ const PowerballGenerator = () => {
                     </h2>
                     <p className="mt-1 text-sm text-white/70">
                       Click any ball to edit. Copy a single line or the full
-                      set.
+                      set, export it, or print play slips.
                     </p>
                   </div>
-                  <button
-                    type="button"
-                    onClick={handleCopyAll}
-                    className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10"
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={handleCopyShareLink}
+                      disabled={!shareUrl}
+                      className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10 disabled:opacity-60"
+                      title={
+                        shareUrl
+                          ? "Copy a link that rebuilds these exact lines (manual edits aren't included)"
+                          : "Generate a batch to get a link for it"
+                      }
+                    >
+                      Copy link
+                      {copied === "link" ? " ✓" : ""}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleCopyAll}
+                      className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10"
+                    >
+                      Copy all
+                      {copied === "all" ? " ✓" : ""}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleExportCsv}
+                      disabled={picks.length === 0}
+                      className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10 disabled:opacity-60"
+                      title="Download the lines as a spreadsheet"
+                    >
+                      CSV
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleExportJson}
+                      disabled={picks.length === 0}
+                      className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10 disabled:opacity-60"
+                      title="Download the lines with the seed and settings that made them"
+                    >
+                      JSON
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handlePrintSlips}
+                      disabled={picks.length === 0 || Boolean(generating)}
+                      className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10 disabled:opacity-60"
+                      title="Print play slips with your numbers marked, five plays per slip"
+                    >
+                      Print slips
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleOpenSaveTicket}
+                      disabled={picks.length === 0 || Boolean(generating)}
+                      className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10 disabled:opacity-60"
+                      title="Keep these lines in My Tickets (stored in this browser)"
+                    >
+                      Save to My Tickets
+                      {copied === "ticket" ? " ✓" : ""}
+                    </button>
+                  </div>
+                </div>
+
+                {ticketDraft ? (
+                  <div className="mt-4 space-y-3 rounded-2xl border border-white/10 bg-white/5 p-4">
+                    {renderTicketFields(
+                      ticketDraft,
+                      setTicketDraft,
+                      "saveTicket",
+                      picks.length
+                    )}
+                    {ticketsError ? (
+                      <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                        {ticketsError}
+                      </div>
+                    ) : null}
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={handleSaveTicket}
+                        disabled={!ticketDraft.startDate}
+                        className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                      >
+                        Save ticket
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setTicketDraft(null)}
+                        className="px-4 py-2 text-sm font-semibold text-white/70 hover:text-white"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : null}
+
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-white/60">
+                  <span className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10">
+                    Seed{" "}
+                    <span className="font-mono font-semibold text-white/80">
+                      {batch.seed}
+                    </span>
+                  </span>
+                  {batch.asOf ? (
+                    <span className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10">
+                      Draws through{" "}
+                      <span className="font-semibold text-white/80">
+                        {batch.asOf}
+                      </span>
+                    </span>
+                  ) : null}
+                  {batch.history ? (
+                    <span className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10">
+                      History{" "}
+                      <span className="font-semibold text-white/80">
+                        {describeHistory(batch.history)}
+                      </span>
+                    </span>
+                  ) : null}
+                  <span
+                    className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10"
+                    title={[
+                      `${
+                        rejection.rejectedBy?.jackpot ?? 0
+                      } matched a past jackpot`,
+                      `${
+                        rejection.rejectedBy?.white ?? 0
+                      } matched past white balls`,
+                      `${
+                        rejection.rejectedBy?.constraints ?? 0
+                      } broke pattern filters`,
+                      `${
+                        rejection.rejectedBy?.pattern ?? 0
+                      } were patterned lines`,
+                    ].join(" · ")}
                   >
-                    Copy all
-                    {copied === "all" ? " ✓" : ""}
-                  </button>
+                    Rejected{" "}
+                    <span className="font-semibold text-white/80">
+                      {rejection.rejected}
+                    </span>{" "}
+                    {rejection.rejected === 1 ? "candidate" : "candidates"}
+                  </span>
+                  {sharedBatch ? (
+                    <span className="text-white/50">Loading shared picks…</span>
+                  ) : null}
                 </div>
 
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-white/60">
+                  <span
+                    className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10"
+                    title="Distinct main numbers used across these lines"
+                  >
+                    Mains{" "}
+                    <span className="font-semibold text-white/80">
+                      {coverage.distinctMains}/{coverage.totalMains}
+                    </span>
+                  </span>
+                  <span
+                    className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10"
+                    title={`Distinct main-number pairs vs. pairs if none repeated (${coverage.totalPairs.toLocaleString()} pairs exist)`}
+                  >
+                    Pairs{" "}
+                    <span className="font-semibold text-white/80">
+                      {coverage.distinctPairs}/{coverage.pairSlots}
+                    </span>{" "}
+                    (
+                    {(
+                      (coverage.distinctPairs / coverage.totalPairs) *
+                      100
+                    ).toFixed(1)}
+                    % of all)
+                  </span>
+                  <span
+                    className="rounded-full bg-white/5 px-3 py-1 ring-1 ring-white/10"
+                    title="Distinct Powerballs used across these lines"
+                  >
+                    Powerballs{" "}
+                    <span className="font-semibold text-white/80">
+                      {coverage.distinctPbs}/{coverage.totalPbs}
+                    </span>
+                  </span>
+                </div>
+
+                {rejection.unresolved > 0 ? (
+                  <div className="mt-3 rounded-xl border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-sm text-amber-100">
+                    {unresolvedMessage()}
+                  </div>
+                ) : null}
+
                 <div className="mt-5 space-y-4">
-                  {displayPicks.map((pick, idx) => {
+                  {displayPicks.slice(0, visibleLines).map((pick, idx) => {
                     const finalPick = picks[idx];
                     return (
                       <div
@@ -1881,6 +4569,24 @@ const PowerballGenerator = () => {
                               {idx + 1}
                             </span>
                             <span>Pick</span>
+                            {finalPick?.main?.length === 5 &&
+                            finalPick.powerball != null
+                              ? (() => {
+                                  const score = popularityScore(
+                                    finalPick.main,
+                                    finalPick.powerball
+                                  );
+                                  return (
+                                    <span
+                                      className="rounded-full bg-white/5 px-2 py-0.5 text-xs font-semibold text-white/60 ring-1 ring-white/10"
+                                      title="Estimated popularity: how likely other players picked these numbers too (birthdays 1–31 and patterns score higher). Lower means a smaller chance of splitting a jackpot."
+                                    >
+                                      Popularity {score} ·{" "}
+                                      {popularityLabel(score)}
+                                    </span>
+                                  );
+                                })()
+                              : null}
                             {(() => {
                               const prize = calculatePickPrize(finalPick);
                               if (!prize) return null;
@@ -2083,6 +4789,18 @@ const PowerballGenerator = () => {
                               Copy
                               {copied === `line:${idx}` ? " ✓" : ""}
                             </button>
+                            <button
+                              type="button"
+                              onClick={() => handleOpenLineHistory(finalPick)}
+                              disabled={
+                                finalPick?.main?.length !== 5 ||
+                                finalPick.powerball == null
+                              }
+                              className="inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10 disabled:opacity-60"
+                              title="Would this line ever have won? Check it against every past draw"
+                            >
+                              History
+                            </button>
                           </div>
                         </div>
 
@@ -2095,6 +4813,25 @@ const PowerballGenerator = () => {
                     );
                   })}
                 </div>
+
+                {displayPicks.length > visibleLines ? (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setVisibleLines((prev) => prev + PICKS_PAGE_SIZE)
+                    }
+                    className="mt-4 w-full rounded-xl border border-white/10 bg-white/5 px-4 py-2 text-sm font-semibold text-white/90 transition hover:bg-white/10"
+                  >
+                    Show{" "}
+                    {Math.min(
+                      PICKS_PAGE_SIZE,
+                      displayPicks.length - visibleLines
+                    ).toLocaleString()}{" "}
+                    more (
+                    {(displayPicks.length - visibleLines).toLocaleString()}{" "}
+                    hidden)
+                  </button>
+                ) : null}
               </div>
             </section>
           </div>
@@ -2110,17 +4847,45 @@ const PowerballGenerator = () => {
 
             {showStats && (
               <div className="mt-4 space-y-4">
+                <p className="text-sm text-white/70">
+                  {describeHistory(history)} ·{" "}
+                  {analysis.drawCount.toLocaleString()}{" "}
+                  {analysis.drawCount === 1 ? "draw" : "draws"}
+                </p>
+                <div>
+                  <h3 className="font-semibold text-white/90 mb-2">
+                    Most Frequent Main Numbers (Top 10):
+                  </h3>
+                  {topMain.length === 0 ? (
+                    <div className="text-sm text-white/70">
+                      No draw data loaded yet.
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-5 gap-2">
+                      {topMain.map(([num, count]) => (
+                        <div
+                          key={num}
+                          className="rounded-xl border border-white/10 bg-white/5 p-2 text-center"
+                        >
+                          <div className="font-extrabold text-white">{num}</div>
+                          <div className="text-xs text-white/60">{count}x</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
                 <div>
                   <h3 className="font-semibold text-white/90 mb-2">
-                    Most Frequent Main Numbers (Top 10):
+                    Most Frequent Powerball Numbers (Top 5):
                   </h3>
-                  {topMain.length === 0 ? (
+                  {topPB.length === 0 ? (
                     <div className="text-sm text-white/70">
                       No draw data loaded yet.
                     </div>
                   ) : (
                     <div className="grid grid-cols-5 gap-2">
-                      {topMain.map(([num, count]) => (
+                      {topPB.map(([num, count]) => (
                         <div
                           key={num}
                           className="rounded-xl border border-white/10 bg-white/5 p-2 text-center"
@@ -2135,15 +4900,16 @@ const PowerballGenerator = () => {
 
                 <div>
                   <h3 className="font-semibold text-white/90 mb-2">
-                    Most Frequent Powerball Numbers (Top 5):
+                    Most Frequent Main Numbers, {describeRecency(recency)} (Top
+                    10):
                   </h3>
-                  {topPB.length === 0 ? (
+                  {topRecentMain.length === 0 ? (
                     <div className="text-sm text-white/70">
-                      No draw data loaded yet.
+                      No draws in the recent window.
                     </div>
                   ) : (
                     <div className="grid grid-cols-5 gap-2">
-                      {topPB.map(([num, count]) => (
+                      {topRecentMain.map(([num, count]) => (
                         <div
                           key={num}
                           className="rounded-xl border border-white/10 bg-white/5 p-2 text-center"
@@ -2156,6 +4922,112 @@ const PowerballGenerator = () => {
                   )}
                 </div>
 
+                {gapStats.map(({ label, rows, top, pb }) => (
+                  <div key={label}>
+                    <div className="mb-2 flex items-center justify-between gap-3">
+                      <h3 className="font-semibold text-white/90">
+                        Most Overdue {label} Numbers
+                        {showAllGaps ? "" : ` (Top ${top})`}:
+                      </h3>
+                      {pb ? null : (
+                        <button
+                          type="button"
+                          onClick={() => setShowAllGaps((prev) => !prev)}
+                          className="text-xs font-semibold text-white/70 hover:text-white"
+                        >
+                          {showAllGaps ? "Show top only" : "Show all"}
+                        </button>
+                      )}
+                    </div>
+                    {draws.length === 0 ? (
+                      <div className="text-sm text-white/70">
+                        No draw data loaded yet.
+                      </div>
+                    ) : (
+                      <div className="grid grid-cols-5 gap-2">
+                        {(showAllGaps ? rows : rows.slice(0, top)).map(
+                          ({ num, current, average, max }) => (
+                            <div
+                              key={num}
+                              className="rounded-xl border border-white/10 bg-white/5 p-2 text-center"
+                              title={`Last seen ${current} draw${
+                                current === 1 ? "" : "s"
+                              } ago · average gap ${
+                                average == null ? "—" : average.toFixed(1)
+                              } · longest gap ${max}`}
+                            >
+                              <div
+                                className={`font-extrabold ${
+                                  pb ? "text-red-300" : "text-white"
+                                }`}
+                              >
+                                {num}
+                              </div>
+                              <div className="text-xs text-white/60">
+                                {current} ago
+                              </div>
+                              <div className="text-[10px] text-white/40">
+                                avg {average == null ? "—" : average.toFixed(1)}{" "}
+                                · max {max}
+                              </div>
+                            </div>
+                          )
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+
+                {comboStats.map(({ label, size, freq, most, least }) => (
+                  <div key={label}>
+                    <h3 className="font-semibold text-white/90 mb-2">
+                      {label} Drawn Together:
+                    </h3>
+                    {most.length === 0 ? (
+                      <div className="text-sm text-white/70">
+                        No draw data loaded yet.
+                      </div>
+                    ) : (
+                      <div className="grid gap-3 sm:grid-cols-2">
+                        {[
+                          ["Most often", most],
+                          ["Least often (drawn at least once)", least],
+                        ].map(([title, rows]) => (
+                          <div key={title}>
+                            <div className="mb-1 text-xs text-white/60">
+                              {title}
+                            </div>
+                            <div className="space-y-1">
+                              {rows.map(({ key, nums, count }) => (
+                                <div
+                                  key={key}
+                                  className="flex items-center justify-between rounded-xl border border-white/10 bg-white/5 px-3 py-1.5 text-sm"
+                                >
+                                  <span className="font-extrabold text-white">
+                                    {nums.join(" · ")}
+                                  </span>
+                                  <span className="text-xs text-white/60">
+                                    {count}x
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {most.length > 0 ? (
+                      <p className="mt-2 text-xs text-white/60">
+                        {(
+                          binomial(MAIN_MAX, size) - freq.size
+                        ).toLocaleString()}{" "}
+                        of {binomial(MAIN_MAX, size).toLocaleString()} possible{" "}
+                        {label.toLowerCase()} have never been drawn together.
+                      </p>
+                    ) : null}
+                  </div>
+                ))}
+
                 <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
                   <p className="text-sm text-white/70">
                     <strong className="text-white">Note:</strong> Powerball is
@@ -2167,6 +5039,587 @@ const PowerballGenerator = () => {
             )}
           </div>
 
+          <div className="mt-6 rounded-2xl bg-white/5 p-5 ring-1 ring-white/10 backdrop-blur">
+            <button
+              onClick={() => setShowTickets(!showTickets)}
+              className="w-full text-left font-semibold text-lg text-white flex justify-between items-center"
+            >
+              <span>
+                🎟️ My Tickets
+                {tickets.length > 0 ? (
+                  <span className="ml-2 text-sm font-normal text-white/60">
+                    ({tickets.length})
+                  </span>
+                ) : null}
+              </span>
+              <span className="text-white/70">{showTickets ? "▼" : "▶"}</span>
+            </button>
+
+            {showTickets && (
+              <div className="mt-4 space-y-4">
+                <p className="text-sm text-white/70">
+                  Tickets are stored in this browser only. Save lines from Your
+                  picks to add one, or import them in the Number Checker.
+                </p>
+
+                {ticketsError && !ticketDraft ? (
+                  <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                    {ticketsError}
+                  </div>
+                ) : null}
+
+                {allTags(tickets).length > 0 ? (
+                  <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <span className="text-white/60">Tags:</span>
+                    {[null, ...allTags(tickets)].map((tag) => (
+                      <button
+                        key={tag ?? "all"}
+                        type="button"
+                        onClick={() => setTicketTagFilter(tag)}
+                        className={[
+                          "rounded-full px-3 py-1 font-semibold ring-1 transition",
+                          ticketTagFilter === tag
+                            ? "bg-white text-slate-900 ring-white"
+                            : "bg-white/5 text-white/80 ring-white/10 hover:bg-white/10",
+                        ].join(" ")}
+                      >
+                        {tag ?? "All"}
+                      </button>
+                    ))}
+                  </div>
+                ) : null}
+
+                {visibleTickets.length === 0 ? (
+                  <div className="text-sm text-white/60">
+                    No saved tickets yet.
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {visibleTickets.map((ticket) => (
+                      <div
+                        key={ticket.id}
+                        className="rounded-2xl border border-white/10 bg-white/5 p-4"
+                      >
+                        {editingTicket?.id === ticket.id ? (
+                          <div className="space-y-3">
+                            {renderTicketFields(
+                              editingTicket,
+                              setEditingTicket,
+                              `editTicket-${ticket.id}`,
+                              ticket.lines.length
+                            )}
+                            <div className="flex gap-2">
+                              <button
+                                type="button"
+                                onClick={handleUpdateTicket}
+                                disabled={!editingTicket.startDate}
+                                className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                              >
+                                Save changes
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => setEditingTicket(null)}
+                                className="px-4 py-2 text-sm font-semibold text-white/70 hover:text-white"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <>
+                            <div className="flex flex-wrap items-start justify-between gap-2">
+                              <div>
+                                <div className="flex flex-wrap items-center gap-2 font-semibold text-white">
+                                  {ticket.name}
+                                  {(() => {
+                                    const status = ticketStatus(ticket);
+                                    return (
+                                      <span
+                                        className={[
+                                          "rounded-full px-2 py-0.5 text-xs ring-1",
+                                          status.state === "won"
+                                            ? "bg-emerald-500/15 text-emerald-200 ring-emerald-400/30"
+                                            : status.state === "lost"
+                                            ? "bg-white/5 text-white/60 ring-white/10"
+                                            : "bg-amber-500/10 text-amber-100 ring-amber-400/30",
+                                        ].join(" ")}
+                                      >
+                                        {status.state === "won"
+                                          ? status.jackpot
+                                            ? "Won the JACKPOT"
+                                            : `Won ${formatPrize(
+                                                status.winnings
+                                              )}`
+                                          : status.state === "lost"
+                                          ? "No win"
+                                          : `Pending · ${status.checked}/${status.total} checked`}
+                                      </span>
+                                    );
+                                  })()}
+                                </div>
+                                <div className="mt-1 text-xs text-white/60">
+                                  {ticket.lines.length}{" "}
+                                  {ticket.lines.length === 1 ? "line" : "lines"}{" "}
+                                  ·{" "}
+                                  {ticket.drawDates.length === 0
+                                    ? "no draw dates"
+                                    : ticket.drawDates.length === 1
+                                    ? ticket.drawDates[0]
+                                    : `${ticket.drawDates.length} draws, ${
+                                        ticket.drawDates[0]
+                                      } – ${
+                                        ticket.drawDates[
+                                          ticket.drawDates.length - 1
+                                        ]
+                                      }`}{" "}
+                                  · ${ticket.cost.toLocaleString()}
+                                  {ticket.powerPlay ? " · Power Play" : ""}
+                                  {ticket.doublePlay ? " · Double Play" : ""}
+                                </div>
+                                {ticket.tags.length > 0 ? (
+                                  <div className="mt-2 flex flex-wrap gap-1">
+                                    {ticket.tags.map((tag) => (
+                                      <span
+                                        key={tag}
+                                        className="rounded-full bg-white/10 px-2 py-0.5 text-xs text-white/80"
+                                      >
+                                        {tag}
+                                      </span>
+                                    ))}
+                                  </div>
+                                ) : null}
+                              </div>
+                              <div className="flex gap-3 text-xs font-semibold">
+                                <button
+                                  type="button"
+                                  onClick={() => handleEditTicket(ticket)}
+                                  className="text-white/70 hover:text-white"
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleDeleteTicket(ticket)}
+                                  onBlur={() => setPendingDeleteTicketId(null)}
+                                  className={
+                                    pendingDeleteTicketId === ticket.id
+                                      ? "text-red-300 hover:text-red-200"
+                                      : "text-white/70 hover:text-white"
+                                  }
+                                >
+                                  {pendingDeleteTicketId === ticket.id
+                                    ? "Really delete?"
+                                    : "Delete"}
+                                </button>
+                              </div>
+                            </div>
+                            <div className="mt-3 space-y-1 font-mono text-xs text-white/80">
+                              {ticket.lines.slice(0, 10).map((line, i) => (
+                                <div key={i}>
+                                  {line.main
+                                    .map((n) => String(n).padStart(2, "0"))
+                                    .join(" ")}{" "}
+                                  <span className="text-red-300">
+                                    PB {String(line.powerball).padStart(2, "0")}
+                                  </span>
+                                </div>
+                              ))}
+                              {ticket.lines.length > 10 ? (
+                                <div className="text-white/50">
+                                  +{(ticket.lines.length - 10).toLocaleString()}{" "}
+                                  more
+                                </div>
+                              ) : null}
+                            </div>
+                            {ticket.results.length > 0 ? (
+                              <div className="mt-3">
+                                <button
+                                  type="button"
+                                  onClick={() =>
+                                    setOpenTicketResultsId((prev) =>
+                                      prev === ticket.id ? null : ticket.id
+                                    )
+                                  }
+                                  className="text-xs font-semibold text-white/70 hover:text-white"
+                                >
+                                  Results ({ticket.results.length}){" "}
+                                  {openTicketResultsId === ticket.id
+                                    ? "▼"
+                                    : "▶"}
+                                </button>
+                                {openTicketResultsId === ticket.id ? (
+                                  <ul className="mt-2 space-y-2 text-xs text-white/70">
+                                    {[...ticket.results]
+                                      .reverse()
+                                      .map((result) => (
+                                        <li key={result.drawDate}>
+                                          <div>
+                                            <span className="font-semibold text-white/90">
+                                              {result.drawDate}
+                                            </span>{" "}
+                                            · drawn{" "}
+                                            <span className="font-mono">
+                                              {result.winning.main
+                                                .map((n) =>
+                                                  String(n).padStart(2, "0")
+                                                )
+                                                .join(" ")}{" "}
+                                              PB{" "}
+                                              {String(
+                                                result.winning.powerball
+                                              ).padStart(2, "0")}
+                                            </span>
+                                            {ticket.powerPlay &&
+                                            result.multiplier
+                                              ? ` · ${result.multiplier}x`
+                                              : ""}{" "}
+                                            ·{" "}
+                                            <span
+                                              className={
+                                                result.jackpot ||
+                                                result.winnings > 0
+                                                  ? "font-semibold text-emerald-300"
+                                                  : ""
+                                              }
+                                            >
+                                              {describeTicketResult(result)}
+                                            </span>
+                                          </div>
+                                          {result.wins.length > 0 ? (
+                                            <div className="mt-0.5 text-white/50">
+                                              {result.wins
+                                                .map(
+                                                  (w) =>
+                                                    `Line ${
+                                                      w.line + 1
+                                                    }: ${tierLabel(
+                                                      w.tier
+                                                    )} → ${formatPrize(
+                                                      w.prize
+                                                    )}`
+                                                )
+                                                .join(" · ")}
+                                            </div>
+                                          ) : null}
+                                          {ticket.doublePlay ? (
+                                            <div className="mt-0.5 text-white/50">
+                                              Double Play:{" "}
+                                              {result.doublePlay ? (
+                                                <>
+                                                  <span className="font-mono">
+                                                    {formatLine(
+                                                      result.doublePlay.winning
+                                                    )}
+                                                  </span>
+                                                  {result.doublePlay.wins
+                                                    .length > 0
+                                                    ? ` · ${result.doublePlay.wins
+                                                        .map(
+                                                          (w) =>
+                                                            `Line ${
+                                                              w.line + 1
+                                                            }: ${tierLabel(
+                                                              w.tier
+                                                            )} → ${formatPrize(
+                                                              w.prize
+                                                            )}`
+                                                        )
+                                                        .join(" · ")}`
+                                                    : " · no win"}
+                                                </>
+                                              ) : (
+                                                "numbers not in yet"
+                                              )}
+                                            </div>
+                                          ) : null}
+                                        </li>
+                                      ))}
+                                  </ul>
+                                ) : null}
+                              </div>
+                            ) : null}
+                          </>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="mt-6 rounded-2xl bg-white/5 p-5 ring-1 ring-white/10 backdrop-blur">
+            <button
+              onClick={() => setShowBacktest(!showBacktest)}
+              className="w-full text-left font-semibold text-lg text-white flex justify-between items-center"
+            >
+              <span>🧪 Strategy Backtest</span>
+              <span className="text-white/70">{showBacktest ? "▼" : "▶"}</span>
+            </button>
+
+            {showBacktest && (
+              <div className="mt-4 space-y-4">
+                <p className="text-sm text-white/70">
+                  Replays past draws: for each one, generates lines from only
+                  the draws before it and scores them. Uses your current
+                  randomness ({randomness}%), history and recent window. Every
+                  strategy gets the same random seed per draw.
+                </p>
+
+                <div>
+                  <div className="mb-2 text-sm font-semibold text-white/90">
+                    Strategies
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {[
+                      ...STRATEGIES,
+                      ...customStrategies.map((s) => `custom:${s.id}`),
+                    ].map((value) => (
+                      <label
+                        key={value}
+                        className="flex items-center gap-2 rounded-full bg-white/5 px-3 py-1 text-xs text-white/80 ring-1 ring-white/10"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={backtestStrategies.includes(value)}
+                          onChange={() => toggleBacktestStrategy(value)}
+                          disabled={Boolean(backtestProgress)}
+                          className="accent-red-400"
+                        />
+                        {strategyLabel(value)}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="grid gap-3 sm:grid-cols-3">
+                  <div>
+                    <label
+                      htmlFor="backtestLines"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Lines per draw
+                    </label>
+                    <input
+                      id="backtestLines"
+                      type="number"
+                      min={1}
+                      max={BACKTEST_MAX_LINES}
+                      {...numberFieldProps(
+                        "backtestLines",
+                        backtestLines,
+                        (raw) =>
+                          setBacktestLines(clampInt(raw, 1, BACKTEST_MAX_LINES))
+                      )}
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="backtestDrawsBack"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Draws to replay
+                    </label>
+                    <select
+                      id="backtestDrawsBack"
+                      value={backtestDrawsBack}
+                      onChange={(e) =>
+                        setBacktestDrawsBack(Number(e.target.value))
+                      }
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    >
+                      <option value={50}>Last 50</option>
+                      <option value={100}>Last 100</option>
+                      <option value={250}>Last 250</option>
+                      <option value={500}>Last 500</option>
+                      <option value={0}>All in history</option>
+                    </select>
+                  </div>
+                  <label className="flex items-end gap-2 pb-2 text-sm text-white/80">
+                    <input
+                      type="checkbox"
+                      checked={backtestPowerPlay}
+                      onChange={(e) => setBacktestPowerPlay(e.target.checked)}
+                      className="mb-0.5 accent-red-400"
+                    />
+                    Power Play (+$1/line)
+                  </label>
+                </div>
+
+                <button
+                  type="button"
+                  onClick={handleRunBacktest}
+                  disabled={
+                    !backtestProgress &&
+                    (backtestStrategies.length === 0 ||
+                      Boolean(historyError) ||
+                      Boolean(recencyError))
+                  }
+                  className="w-full rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                >
+                  {backtestProgress ? "Stop" : "Run backtest"}
+                </button>
+
+                {backtestProgress ? (
+                  <div>
+                    <div className="h-2 overflow-hidden rounded-full bg-white/10">
+                      <div
+                        className="h-full bg-red-400 transition-all"
+                        style={{
+                          width: `${
+                            backtestProgress.total
+                              ? (backtestProgress.done /
+                                  backtestProgress.total) *
+                                100
+                              : 0
+                          }%`,
+                        }}
+                      />
+                    </div>
+                    <div className="mt-1 text-xs text-white/60">
+                      {backtestProgress.done} / {backtestProgress.total || "…"}{" "}
+                      draws
+                    </div>
+                  </div>
+                ) : null}
+
+                {backtestError ? (
+                  <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                    {backtestError}
+                  </div>
+                ) : null}
+
+                {backtestResult ? (
+                  backtestResult.draws === 0 ? (
+                    <div className="text-sm text-white/70">
+                      {backtestResult.totalDraws === 0
+                        ? "No dated draws in the selected history have enough earlier draws to backtest."
+                        : "Stopped before any draws were replayed."}
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      <p className="text-xs text-white/60">
+                        {backtestResult.draws.toLocaleString()} draws,{" "}
+                        {backtestResult.from} to {backtestResult.to}
+                        {backtestResult.aborted ? " (stopped early)" : ""}.
+                        Jackpots are counted but not added to winnings.
+                      </p>
+
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs text-white/60">
+                              <th className="py-1 pr-3">Strategy</th>
+                              <th className="py-1 pr-3 text-right">Lines</th>
+                              <th className="py-1 pr-3 text-right">Cost</th>
+                              <th className="py-1 pr-3 text-right">Won</th>
+                              <th className="py-1 pr-3 text-right">Net</th>
+                              <th className="py-1 text-right">Return</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {backtestResult.results.map((r) => (
+                              <tr
+                                key={r.key}
+                                className="border-t border-white/10 text-white/80"
+                              >
+                                <td className="py-1.5 pr-3 font-semibold text-white">
+                                  {r.label}
+                                  {r.jackpots > 0
+                                    ? ` (${r.jackpots} jackpot${
+                                        r.jackpots === 1 ? "" : "s"
+                                      })`
+                                    : ""}
+                                </td>
+                                <td className="py-1.5 pr-3 text-right">
+                                  {r.lines.toLocaleString()}
+                                </td>
+                                <td className="py-1.5 pr-3 text-right">
+                                  ${r.cost.toLocaleString()}
+                                </td>
+                                <td className="py-1.5 pr-3 text-right">
+                                  ${r.winnings.toLocaleString()}
+                                </td>
+                                <td
+                                  className={`py-1.5 pr-3 text-right ${
+                                    r.winnings - r.cost >= 0
+                                      ? "text-emerald-300"
+                                      : "text-red-300"
+                                  }`}
+                                >
+                                  {r.winnings - r.cost < 0 ? "−" : ""}$
+                                  {Math.abs(
+                                    r.winnings - r.cost
+                                  ).toLocaleString()}
+                                </td>
+                                <td className="py-1.5 text-right">
+                                  {((r.winnings / r.cost) * 100).toFixed(1)}%
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs text-white/60">
+                              <th className="py-1 pr-3">Match</th>
+                              <th className="py-1 pr-3 text-right">Odds</th>
+                              {backtestResult.results.map((r) => (
+                                <th
+                                  key={r.key}
+                                  className="py-1 pr-3 text-right"
+                                >
+                                  {r.label}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {PRIZE_TIERS.map((tier) => {
+                              const [white, pb] = tier.split("-").map(Number);
+                              return (
+                                <tr
+                                  key={tier}
+                                  className="border-t border-white/10 text-white/80"
+                                >
+                                  <td className="py-1.5 pr-3 font-semibold text-white">
+                                    {white}
+                                    {pb === 1 ? " + PB" : ""}
+                                  </td>
+                                  <td className="py-1.5 pr-3 text-right text-white/60">
+                                    {formatOdds(getOdds(white, pb === 1))}
+                                  </td>
+                                  {backtestResult.results.map((r) => (
+                                    <td
+                                      key={r.key}
+                                      className="py-1.5 pr-3 text-right"
+                                      title={`${r.tiers[tier]} of ${r.lines} lines`}
+                                    >
+                                      {r.tiers[tier] > 0
+                                        ? `${r.tiers[tier]} (${formatOdds(
+                                            r.lines / r.tiers[tier]
+                                          )})`
+                                        : "—"}
+                                    </td>
+                                  ))}
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  )
+                ) : null}
+              </div>
+            )}
+          </div>
+
           <div className="mt-6 rounded-2xl bg-white/5 p-5 ring-1 ring-white/10 backdrop-blur">
             <button
               onClick={() => setShowPrizeTable(!showPrizeTable)}
@@ -2286,22 +5739,286 @@ const PowerballGenerator = () => {
                   </table>
                 </div>
 
-                <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
-                  <p className="text-sm text-white/70">
-                    <strong className="text-white">Note:</strong> Prize amounts
-                    are approximate and may vary. The jackpot is not multiplied
-                    by Power Play. Match 5 (no Powerball) with Power Play is
-                    always $2 million regardless of the multiplier drawn. Visit{" "}
-                    <a
-                      href="https://www.powerball.com/powerball-prize-chart"
-                      target="_blank"
-                      rel="noreferrer"
-                      className="font-semibold text-white underline decoration-white/20 underline-offset-2 hover:decoration-white/40"
-                    >
-                      powerball.com
-                    </a>{" "}
-                    for official prize information.
-                  </p>
+                <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                  <p className="text-sm text-white/70">
+                    <strong className="text-white">Note:</strong> Prize amounts
+                    are approximate and may vary. The jackpot is not multiplied
+                    by Power Play. Match 5 (no Powerball) with Power Play is
+                    always $2 million regardless of the multiplier drawn. Visit{" "}
+                    <a
+                      href="https://www.powerball.com/powerball-prize-chart"
+                      target="_blank"
+                      rel="noreferrer"
+                      className="font-semibold text-white underline decoration-white/20 underline-offset-2 hover:decoration-white/40"
+                    >
+                      powerball.com
+                    </a>{" "}
+                    for official prize information.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="mt-6 rounded-2xl bg-white/5 p-5 ring-1 ring-white/10 backdrop-blur">
+            <button
+              onClick={() => setShowEv(!showEv)}
+              className="w-full text-left font-semibold text-lg text-white flex justify-between items-center"
+            >
+              <span>📈 Expected Value</span>
+              <span className="text-white/70">{showEv ? "▼" : "▶"}</span>
+            </button>
+
+            {showEv && (
+              <div className="mt-4 space-y-4">
+                <p className="text-sm text-white/70">
+                  What one line is worth on average at the current jackpot,
+                  after the cash option, taxes and the chance of sharing the
+                  jackpot with other winners (estimated from ticket sales
+                  projected from the jackpot size).
+                </p>
+
+                <div className="grid gap-3 sm:grid-cols-3">
+                  <div>
+                    <label
+                      htmlFor="evJackpot"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Jackpot ($M, advertised)
+                    </label>
+                    <input
+                      id="evJackpot"
+                      type="number"
+                      min={1}
+                      step="10"
+                      value={evJackpotInput}
+                      onChange={(e) => setEvJackpotInput(e.target.value)}
+                      placeholder={
+                        jackpot?.amount
+                          ? `Live: ${(jackpot.amount / 1000000).toFixed(0)}`
+                          : "e.g. 500"
+                      }
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="evPayout"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Payout
+                    </label>
+                    <select
+                      id="evPayout"
+                      value={evPayout}
+                      onChange={(e) => setEvPayout(e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    >
+                      <option value="lump">Lump sum (cash option)</option>
+                      <option value="annuity">Annuity (30 payments)</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="evCash"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Cash value (% of jackpot)
+                    </label>
+                    <input
+                      id="evCash"
+                      type="number"
+                      min={1}
+                      max={100}
+                      step="1"
+                      {...numberFieldProps("evCashPct", evCashPct, (raw) =>
+                        setEvCashPct(clampNumber(raw, 1, 100))
+                      )}
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="evFederal"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Federal tax (%)
+                    </label>
+                    <input
+                      id="evFederal"
+                      type="number"
+                      min={0}
+                      max={100}
+                      step="1"
+                      {...numberFieldProps(
+                        "evFederalPct",
+                        evFederalPct,
+                        (raw) => setEvFederalPct(clampNumber(raw, 0, 100))
+                      )}
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="evState"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      State tax (%)
+                    </label>
+                    <input
+                      id="evState"
+                      type="number"
+                      min={0}
+                      max={100}
+                      step="0.1"
+                      {...numberFieldProps("evStatePct", evStatePct, (raw) =>
+                        setEvStatePct(clampNumber(raw, 0, 100))
+                      )}
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 self-end pb-2 text-sm text-white/80">
+                    <input
+                      type="checkbox"
+                      checked={evPowerPlay}
+                      onChange={(e) => setEvPowerPlay(e.target.checked)}
+                      className="accent-red-400"
+                    />
+                    Power Play (+${POWER_PLAY_PRICE})
+                  </label>
+                </div>
+
+                {!evResult ? (
+                  <div className="text-sm text-white/60">
+                    The live jackpot isn't available; enter one above.
+                  </div>
+                ) : (
+                  <>
+                    <div className="grid gap-3 sm:grid-cols-3">
+                      <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                        <div className="text-xs text-white/60">
+                          EV per ${evResult.cost} ticket
+                        </div>
+                        <div className="mt-1 font-mono text-2xl font-extrabold text-white">
+                          ${evResult.ev.toFixed(2)}
+                        </div>
+                        <div
+                          className={
+                            evResult.net >= 0
+                              ? "text-sm text-emerald-300"
+                              : "text-sm text-red-200"
+                          }
+                        >
+                          {evResult.net >= 0 ? "+" : "−"}$
+                          {Math.abs(evResult.net).toFixed(2)} per ticket ·{" "}
+                          {evResult.returnPct.toFixed(0)}% return
+                        </div>
+                      </div>
+                      <div className="rounded-2xl border border-white/10 bg-white/5 p-4 text-sm text-white/70">
+                        <div className="text-xs text-white/60">Jackpot</div>
+                        <div className="mt-1">
+                          Advertised{" "}
+                          <span className="font-semibold text-white">
+                            {formatJackpot(evJackpot)}
+                          </span>
+                          {Number(evJackpotInput) > 0 ? "" : " (live)"}
+                        </div>
+                        <div>
+                          You keep{" "}
+                          <span className="font-semibold text-white">
+                            {formatJackpot(evResult.jackpotValue)}
+                          </span>{" "}
+                          {evPayout === "lump"
+                            ? "cash after tax"
+                            : "over 30 years after tax"}
+                        </div>
+                      </div>
+                      <div className="rounded-2xl border border-white/10 bg-white/5 p-4 text-sm text-white/70">
+                        <div className="text-xs text-white/60">
+                          Splitting the jackpot
+                        </div>
+                        <div className="mt-1">
+                          ~{(evResult.sales / 1000000).toFixed(0)}M tickets
+                          projected
+                        </div>
+                        <div>
+                          <span className="font-semibold text-white">
+                            {(evResult.split.splitChance * 100).toFixed(1)}%
+                          </span>{" "}
+                          chance another ticket also wins; expected share{" "}
+                          <span className="font-semibold text-white">
+                            {(evResult.split.expectedShare * 100).toFixed(0)}%
+                          </span>
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-white/60">
+                            <th className="py-1 pr-3">Match</th>
+                            <th className="py-1 pr-3 text-right">Odds</th>
+                            <th className="py-1 pr-3 text-right">
+                              Prize you keep
+                            </th>
+                            <th className="py-1 text-right">EV</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {evResult.tiers.map((t) => (
+                            <tr
+                              key={t.tier}
+                              className="border-t border-white/10 text-white/80"
+                            >
+                              <td className="py-1.5 pr-3 font-semibold text-white">
+                                {tierLabel(t.tier)}
+                              </td>
+                              <td className="py-1.5 pr-3 text-right text-white/60">
+                                {formatOdds(t.odds)}
+                              </td>
+                              <td className="py-1.5 pr-3 text-right">
+                                {t.prize >= 1000000
+                                  ? formatJackpot(t.prize)
+                                  : `$${t.prize.toLocaleString(undefined, {
+                                      maximumFractionDigits: 2,
+                                    })}`}
+                                {t.tier === "5-1" ? " (avg. share)" : ""}
+                                {evPowerPlay && t.tier !== "5-1"
+                                  ? " (avg. multiplier)"
+                                  : ""}
+                              </td>
+                              <td className="py-1.5 text-right font-mono">
+                                {(t.ev * 100).toFixed(2)}¢
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+
+                <div className="rounded-2xl border border-white/10 bg-white/5 p-4 text-sm text-white/70">
+                  {evBreakEven ? (
+                    <>
+                      Break-even: a line's EV covers its $
+                      {TICKET_PRICE + (evPowerPlay ? POWER_PLAY_PRICE : 0)} cost
+                      once the advertised jackpot reaches about{" "}
+                      <span className="font-semibold text-white">
+                        {formatJackpot(evBreakEven)}
+                      </span>
+                      .
+                    </>
+                  ) : (
+                    <>
+                      Break-even: with these settings, no jackpot up to $10B
+                      makes a line worth its cost. Bigger jackpots sell more
+                      tickets, so more of them get split.
+                    </>
+                  )}{" "}
+                  Sales projections and the cash ratio are estimates; prizes of
+                  ${TAX_FREE_PRIZE} or less are counted tax-free.
                 </div>
               </div>
             )}
@@ -2327,7 +6044,10 @@ const PowerballGenerator = () => {
 
                 <textarea
                   value={checkerInput}
-                  onChange={(e) => setCheckerInput(e.target.value)}
+                  onChange={(e) => {
+                    setCheckerInput(e.target.value);
+                    setImportNote(null);
+                  }}
                   rows={5}
                   placeholder={
                     "4 15 67 23 18 10\n4-15-22-11-21-10\n4,15,22,11,21,10"
@@ -2335,6 +6055,271 @@ const PowerballGenerator = () => {
                   className="w-full rounded-2xl border border-white/10 bg-white/5 px-4 py-3 font-mono text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
                 />
 
+                <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+                  <button
+                    type="button"
+                    onClick={() => setShowImport((v) => !v)}
+                    className="flex w-full items-center justify-between text-left text-sm font-semibold text-white/80 hover:text-white"
+                  >
+                    <span>Import from a file or purchase email</span>
+                    <span className="text-white/60">
+                      {showImport ? "▼" : "▶"}
+                    </span>
+                  </button>
+
+                  {showImport && (
+                    <div className="mt-3 space-y-3">
+                      <div className="text-xs text-white/60">
+                        CSV, JSON (including exported picks and saved tickets),
+                        or plain text such as a lottery app's confirmation
+                        email. Draw dates, multi-draw counts, Power Play and
+                        Double Play are picked up when present.
+                      </div>
+                      <input
+                        type="file"
+                        accept=".csv,.json,.txt,.eml,text/plain,text/csv,application/json"
+                        onChange={handleImportFile}
+                        className="block w-full text-sm text-white/80 file:mr-3 file:rounded-xl file:border-0 file:bg-white/10 file:px-3 file:py-2 file:text-sm file:font-semibold file:text-white/90 hover:file:bg-white/15"
+                      />
+                      <textarea
+                        value={importText}
+                        onChange={(e) => setImportText(e.target.value)}
+                        rows={4}
+                        placeholder={
+                          "…or paste it here, e.g.\nA: 04 15 22 11 21 PB 10\nDraw Date: Wed, Oct 15, 2025\nPower Play: Yes"
+                        }
+                        className="w-full rounded-2xl border border-white/10 bg-white/5 px-4 py-3 font-mono text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => previewImport(importText)}
+                        disabled={!importText.trim()}
+                        className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                      >
+                        Preview
+                      </button>
+
+                      {importPreview ? (
+                        <div className="space-y-2">
+                          <div className="text-xs text-white/60">
+                            {importPreview.fileName
+                              ? `${importPreview.fileName} · `
+                              : ""}
+                            {importPreview.format
+                              ? `read as ${importPreview.format.toUpperCase()} · `
+                              : ""}
+                            {importedRows.length} of {importPreview.rows.length}{" "}
+                            line
+                            {importPreview.rows.length === 1 ? "" : "s"} valid
+                          </div>
+                          {importPreview.rows.length === 0 ? (
+                            <div className="text-sm text-white/60">
+                              No lines of numbers found.
+                            </div>
+                          ) : (
+                            <div className="max-h-64 overflow-auto rounded-xl border border-white/10">
+                              <table className="w-full text-left text-xs">
+                                <thead className="text-white/60">
+                                  <tr>
+                                    <th className="px-3 py-2">Line</th>
+                                    <th className="px-3 py-2">Draws</th>
+                                    <th className="px-3 py-2">Add-ons</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {importPreview.rows.map((row, i) => (
+                                    <tr
+                                      key={i}
+                                      className="border-t border-white/10"
+                                    >
+                                      {row.ok ? (
+                                        <>
+                                          <td className="px-3 py-2 font-mono text-white">
+                                            {formatLine(row)}
+                                          </td>
+                                          <td className="px-3 py-2 text-white/80">
+                                            {row.drawDates.length === 0
+                                              ? "—"
+                                              : row.drawDates.length === 1
+                                              ? row.drawDates[0]
+                                              : `${row.drawDates[0]} → ${
+                                                  row.drawDates[
+                                                    row.drawDates.length - 1
+                                                  ]
+                                                } (${row.drawDates.length})`}
+                                          </td>
+                                          <td className="px-3 py-2 text-white/80">
+                                            {[
+                                              row.powerPlay && "Power Play",
+                                              row.doublePlay && "Double Play",
+                                            ]
+                                              .filter(Boolean)
+                                              .join(", ") || "—"}
+                                          </td>
+                                        </>
+                                      ) : (
+                                        <td colSpan={3} className="px-3 py-2">
+                                          <div className="truncate font-mono text-white/60">
+                                            {row.raw}
+                                          </div>
+                                          <div className="text-red-200">
+                                            {row.error}
+                                          </div>
+                                        </td>
+                                      )}
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          )}
+                          <div className="flex flex-wrap gap-2">
+                            <button
+                              type="button"
+                              onClick={handleImportToChecker}
+                              disabled={importedRows.length === 0}
+                              title="The checker takes one set of draws at a time; lines played on other draws are left out (save them to My Tickets instead)"
+                              className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                            >
+                              Put in the checker
+                            </button>
+                            <button
+                              type="button"
+                              onClick={handleImportToTickets}
+                              disabled={importedRows.length === 0}
+                              title="Lines with the same draws and Power Play become one ticket"
+                              className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-60"
+                            >
+                              Save to My Tickets
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setImportPreview(null)}
+                              className="px-4 py-2 text-sm font-semibold text-white/70 hover:text-white"
+                            >
+                              Clear
+                            </button>
+                          </div>
+                          {importedRows.length < importPreview.rows.length ? (
+                            <div className="text-xs text-white/50">
+                              Lines with errors are left out.
+                            </div>
+                          ) : null}
+                        </div>
+                      ) : null}
+                    </div>
+                  )}
+                </div>
+
+                {importNote ? (
+                  <div className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-white/70">
+                    {importNote}
+                  </div>
+                ) : null}
+
+                <div className="grid gap-3 sm:grid-cols-3">
+                  <div>
+                    <label
+                      htmlFor="checkerMode"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Check against
+                    </label>
+                    <select
+                      id="checkerMode"
+                      value={checkerMode}
+                      onChange={(e) => setCheckerMode(e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    >
+                      <option value="latest">Latest draw</option>
+                      <option
+                        value="draw"
+                        disabled={checkerDrawOptions.length === 0}
+                      >
+                        A past draw
+                      </option>
+                      <option
+                        value="range"
+                        disabled={checkerDrawOptions.length === 0}
+                      >
+                        A range of draws
+                      </option>
+                    </select>
+                  </div>
+
+                  {checkerMode === "draw" ? (
+                    <div className="sm:col-span-2">
+                      <label
+                        htmlFor="checkerDraw"
+                        className="block text-xs font-semibold text-white/80"
+                      >
+                        Draw
+                      </label>
+                      <select
+                        id="checkerDraw"
+                        value={checkerDrawDate || checkerDrawOptions[0]?.iso}
+                        onChange={(e) => setCheckerDrawDate(e.target.value)}
+                        className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 font-mono text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                      >
+                        {checkerDrawOptions.map(({ iso, draw }) => (
+                          <option key={iso} value={iso}>
+                            {iso} ·{" "}
+                            {draw.main
+                              .map((n) => String(n).padStart(2, "0"))
+                              .join(" ")}{" "}
+                            PB {String(draw.powerball).padStart(2, "0")}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ) : null}
+
+                  {checkerMode === "range" ? (
+                    <>
+                      <div>
+                        <label
+                          htmlFor="checkerFrom"
+                          className="block text-xs font-semibold text-white/80"
+                        >
+                          First draw
+                        </label>
+                        <input
+                          id="checkerFrom"
+                          type="date"
+                          value={checkerRangeFrom}
+                          min={
+                            checkerDrawOptions[checkerDrawOptions.length - 1]
+                              ?.iso
+                          }
+                          max={checkerDrawOptions[0]?.iso}
+                          onChange={(e) => setCheckerRangeFrom(e.target.value)}
+                          className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                        />
+                      </div>
+                      <div>
+                        <label
+                          htmlFor="checkerTo"
+                          className="block text-xs font-semibold text-white/80"
+                        >
+                          Last draw
+                        </label>
+                        <input
+                          id="checkerTo"
+                          type="date"
+                          value={checkerRangeTo}
+                          min={
+                            checkerDrawOptions[checkerDrawOptions.length - 1]
+                              ?.iso
+                          }
+                          max={checkerDrawOptions[0]?.iso}
+                          onChange={(e) => setCheckerRangeTo(e.target.value)}
+                          className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                        />
+                      </div>
+                    </>
+                  ) : null}
+                </div>
+
                 <div className="flex flex-wrap items-center gap-3">
                   <button
                     type="button"
@@ -2343,7 +6328,19 @@ const PowerballGenerator = () => {
                   >
                     Check
                   </button>
-                  {latestDraw ? (
+                  <label
+                    className="flex items-center gap-2 text-sm text-white/80"
+                    title="Also check the Double Play drawing ($1 add-on with its own prize chart)"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={checkerDoublePlay}
+                      onChange={(e) => setCheckerDoublePlay(e.target.checked)}
+                      className="accent-red-400"
+                    />
+                    Double Play
+                  </label>
+                  {checkerMode === "latest" && latestDraw ? (
                     <div className="text-xs text-white/60">
                       Using latest draw Power Play:{" "}
                       <span className="font-semibold text-white/80">
@@ -2381,7 +6378,7 @@ const PowerballGenerator = () => {
                                     key={`${n}-${i}`}
                                     className={[
                                       "h-10 w-10 rounded-full bg-white text-slate-900 font-extrabold text-xs flex items-center justify-center",
-                                      latestDrawMainSet.has(n)
+                                      checkerSingleDraw(r)?.main.includes(n)
                                         ? "ring-4 ring-inset ring-emerald-400/90 shadow-inner"
                                         : "ring-1 ring-white/20",
                                     ].join(" ")}
@@ -2397,7 +6394,8 @@ const PowerballGenerator = () => {
                               <div
                                 className={[
                                   "h-10 w-10 rounded-full bg-linear-to-b from-red-500 to-red-700 text-white font-extrabold text-xs flex items-center justify-center",
-                                  latestDraw?.powerball === r.powerball
+                                  checkerSingleDraw(r)?.powerball ===
+                                  r.powerball
                                     ? "ring-4 ring-inset ring-emerald-200 shadow-inner"
                                     : "ring-1 ring-red-300/30",
                                 ].join(" ")}
@@ -2408,36 +6406,43 @@ const PowerballGenerator = () => {
                             </div>
 
                             <div className="flex flex-wrap items-center gap-2 text-sm">
+                              {r.perDraw.length > 1 || r.perDraw[0].iso ? (
+                                <span className="text-white/60">
+                                  {r.perDraw.length > 1
+                                    ? `${r.perDraw.length} draws`
+                                    : r.perDraw[0].iso}
+                                </span>
+                              ) : null}
                               <span
                                 className={[
                                   "rounded-full border px-3 py-1",
-                                  isWinningPrize(r.prize.base)
+                                  isWinningTotal(r.total)
                                     ? "border-emerald-400/30 bg-emerald-500/15 text-emerald-100"
                                     : "border-white/10 bg-white/5 text-white/80",
                                 ].join(" ")}
                               >
                                 No PP:{" "}
                                 <span className="font-semibold text-white">
-                                  {formatPrize(r.prize.base)}
+                                  {formatPrizeTotal(r.total)}
                                 </span>
                               </span>
-                              {r.prize.withPowerPlay != null ? (
+                              {r.perDraw.length > 1 ||
+                              r.perDraw[0].prize.withPowerPlay != null ? (
                                 <span
                                   className={[
                                     "rounded-full border px-3 py-1",
-                                    isWinningPrize(r.prize.withPowerPlay)
+                                    isWinningTotal(r.totalWithPowerPlay)
                                       ? "border-emerald-400/30 bg-emerald-500/15 text-emerald-100"
                                       : "border-white/10 bg-white/5 text-white/80",
                                   ].join(" ")}
                                 >
                                   With PP{" "}
-                                  {Number.isFinite(latestDraw?.multiplier) &&
-                                  latestDraw.multiplier > 0
-                                    ? `(x${latestDraw.multiplier})`
+                                  {checkerSingleDraw(r)?.multiplier > 0
+                                    ? `(x${checkerSingleDraw(r).multiplier})`
                                     : ""}
                                   :{" "}
                                   <span className="font-semibold text-white">
-                                    {formatPrize(r.prize.withPowerPlay)}
+                                    {formatPrizeTotal(r.totalWithPowerPlay)}
                                   </span>
                                 </span>
                               ) : (
@@ -2445,11 +6450,361 @@ const PowerballGenerator = () => {
                                   With PP: —
                                 </span>
                               )}
+                              {checkerDoublePlay ? (
+                                r.totalDoublePlay ? (
+                                  <span
+                                    className={[
+                                      "rounded-full border px-3 py-1",
+                                      isWinningTotal(r.totalDoublePlay)
+                                        ? "border-emerald-400/30 bg-emerald-500/15 text-emerald-100"
+                                        : "border-white/10 bg-white/5 text-white/80",
+                                    ].join(" ")}
+                                  >
+                                    Double Play:{" "}
+                                    <span className="font-semibold text-white">
+                                      {formatPrizeTotal(r.totalDoublePlay)}
+                                    </span>
+                                  </span>
+                                ) : (
+                                  <span
+                                    className="rounded-full border border-white/10 bg-white/5 px-3 py-1 text-white/60"
+                                    title="Double Play numbers are only known for draws since we started recording them"
+                                  >
+                                    Double Play: no numbers
+                                  </span>
+                                )
+                              ) : null}
+                              <button
+                                type="button"
+                                onClick={() => handleOpenLineHistory(r)}
+                                className="text-xs font-semibold text-white/70 hover:text-white"
+                                title="Check this line against every past draw"
+                              >
+                                History
+                              </button>
                             </div>
                           </div>
                         )}
+                        {r.ok && r.perDraw.length > 1 ? (
+                          <div className="mt-3 max-h-72 overflow-auto">
+                            <table className="w-full text-left text-xs">
+                              <thead className="text-white/50">
+                                <tr>
+                                  <th className="py-1 pr-3 font-semibold">
+                                    Draw
+                                  </th>
+                                  <th className="py-1 pr-3 font-semibold">
+                                    Numbers
+                                  </th>
+                                  <th className="py-1 pr-3 font-semibold">
+                                    Match
+                                  </th>
+                                  <th className="py-1 pr-3 text-right font-semibold">
+                                    Prize
+                                  </th>
+                                  <th className="py-1 text-right font-semibold">
+                                    With PP
+                                  </th>
+                                  {checkerDoublePlay ? (
+                                    <th className="py-1 pl-3 text-right font-semibold">
+                                      Double Play
+                                    </th>
+                                  ) : null}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {r.perDraw.map((d) => (
+                                  <tr
+                                    key={d.iso}
+                                    className={[
+                                      "border-t border-white/10",
+                                      isWinningPrize(d.prize.base)
+                                        ? "text-emerald-200"
+                                        : "text-white/70",
+                                    ].join(" ")}
+                                  >
+                                    <td className="py-1 pr-3">{d.iso}</td>
+                                    <td className="py-1 pr-3 font-mono">
+                                      {d.draw.main
+                                        .map((n) => String(n).padStart(2, "0"))
+                                        .join(" ")}{" "}
+                                      PB{" "}
+                                      {String(d.draw.powerball).padStart(
+                                        2,
+                                        "0"
+                                      )}
+                                    </td>
+                                    <td className="py-1 pr-3">
+                                      {tierLabel(
+                                        `${d.whiteMatches}-${d.pbMatch ? 1 : 0}`
+                                      )}
+                                    </td>
+                                    <td className="py-1 pr-3 text-right">
+                                      {formatPrize(d.prize.base)}
+                                    </td>
+                                    <td className="py-1 text-right">
+                                      {d.prize.withPowerPlay != null
+                                        ? `${formatPrize(
+                                            d.prize.withPowerPlay
+                                          )} (x${d.draw.multiplier})`
+                                        : "—"}
+                                    </td>
+                                    {checkerDoublePlay ? (
+                                      <td className="py-1 pl-3 text-right">
+                                        {d.doublePlay
+                                          ? `${formatPrize(
+                                              d.doublePlay.prize
+                                            )} (${tierLabel(
+                                              d.doublePlay.tier
+                                            )})`
+                                          : "—"}
+                                      </td>
+                                    ) : null}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        ) : null}
                       </div>
                     ))}
+                    {checkerTotals ? (
+                      <div className="rounded-2xl border border-white/10 bg-white/5 px-4 py-3 text-sm text-white/80">
+                        Total for {checkerTotals.lines}{" "}
+                        {checkerTotals.lines === 1 ? "line" : "lines"} over{" "}
+                        {checkerTotals.draws}{" "}
+                        {checkerTotals.draws === 1 ? "draw" : "draws"}:{" "}
+                        <span className="font-semibold text-white">
+                          {formatPrizeTotal(checkerTotals.base)}
+                        </span>{" "}
+                        ·{" "}
+                        <span className="text-white/60">
+                          with Power Play{" "}
+                          <span className="font-semibold text-white">
+                            {formatPrizeTotal(checkerTotals.withPowerPlay)}
+                          </span>
+                        </span>
+                        {checkerTotals.doublePlay ? (
+                          <>
+                            {" "}
+                            ·{" "}
+                            <span className="text-white/60">
+                              Double Play{" "}
+                              <span className="font-semibold text-white">
+                                {formatPrizeTotal(checkerTotals.doublePlay)}
+                              </span>
+                            </span>
+                          </>
+                        ) : null}
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+              </div>
+            )}
+          </div>
+
+          <div
+            ref={lineHistoryRef}
+            className="mt-6 rounded-2xl bg-white/5 p-5 ring-1 ring-white/10 backdrop-blur"
+          >
+            <button
+              onClick={() => setShowLineHistory((v) => !v)}
+              className="w-full text-left font-semibold text-lg text-white flex justify-between items-center"
+            >
+              <span>🔎 Line History</span>
+              <span className="text-white/70">
+                {showLineHistory ? "▼" : "▶"}
+              </span>
+            </button>
+
+            {showLineHistory && (
+              <div className="mt-4 space-y-4">
+                <p className="text-sm text-white/70">
+                  Would this line ever have won? Compares it with every draw
+                  loaded ({draws.length.toLocaleString()}). Prizes use today’s
+                  prize chart, even for older game eras.
+                </p>
+
+                <div className="flex flex-wrap items-end gap-3">
+                  <div className="min-w-56 flex-1">
+                    <label
+                      htmlFor="lineHistoryInput"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Line (5 numbers + Powerball)
+                    </label>
+                    <input
+                      id="lineHistoryInput"
+                      type="text"
+                      value={lineHistoryInput}
+                      onChange={(e) => setLineHistoryInput(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") handleLookUpLineHistory();
+                      }}
+                      placeholder="4 15 22 11 21 10"
+                      className="mt-1 w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 font-mono text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="lineHistorySince"
+                      className="block text-xs font-semibold text-white/80"
+                    >
+                      Played every draw since
+                    </label>
+                    <input
+                      id="lineHistorySince"
+                      type="date"
+                      value={lineHistorySince}
+                      onChange={(e) => setLineHistorySince(e.target.value)}
+                      className="mt-1 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white shadow-sm focus:outline-none focus:ring-2 focus:ring-red-400/30"
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 pb-2 text-sm text-white/80">
+                    <input
+                      type="checkbox"
+                      checked={lineHistoryPowerPlay}
+                      onChange={(e) =>
+                        setLineHistoryPowerPlay(e.target.checked)
+                      }
+                      className="accent-red-400"
+                    />
+                    Power Play
+                  </label>
+                  <button
+                    type="button"
+                    onClick={handleLookUpLineHistory}
+                    className="inline-flex items-center justify-center rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-white/90 ring-1 ring-white/10 transition hover:bg-white/15"
+                  >
+                    Look up
+                  </button>
+                </div>
+
+                {lineHistoryError ? (
+                  <div className="rounded-xl border border-red-400/30 bg-red-500/10 px-3 py-2 text-sm text-red-200">
+                    {lineHistoryError}
+                  </div>
+                ) : null}
+
+                {lineHistoryResult && lineHistoryTarget ? (
+                  <div className="space-y-4">
+                    <div className="font-mono text-sm text-white">
+                      {formatLine(lineHistoryTarget)}
+                    </div>
+
+                    <div className="grid gap-3 sm:grid-cols-3">
+                      <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                        <div className="text-xs text-white/60">Best match</div>
+                        <div className="mt-1 text-lg font-semibold text-white">
+                          {lineHistoryResult.best
+                            ? tierLabel(
+                                `${lineHistoryResult.best.whiteMatches}-${
+                                  lineHistoryResult.best.pbMatch ? 1 : 0
+                                }`
+                              )
+                            : "—"}
+                        </div>
+                        {lineHistoryResult.best ? (
+                          <div className="mt-1 text-xs text-white/60">
+                            {lineHistoryResult.best.times.toLocaleString()}{" "}
+                            {lineHistoryResult.best.times === 1
+                              ? "time"
+                              : "times"}
+                            {lineHistoryResult.best.lastDate
+                              ? `, last on ${lineHistoryResult.best.lastDate}`
+                              : ""}
+                          </div>
+                        ) : null}
+                      </div>
+                      <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                        <div className="text-xs text-white/60">
+                          Winning draws
+                        </div>
+                        <div className="mt-1 text-lg font-semibold text-white">
+                          {lineHistoryResult.wins.length.toLocaleString()}
+                        </div>
+                        <div className="mt-1 text-xs text-white/60">
+                          of {lineHistoryResult.drawCount.toLocaleString()}{" "}
+                          draws
+                        </div>
+                      </div>
+                      <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                        <div className="text-xs text-white/60">
+                          Net since{" "}
+                          {lineHistoryResult.since.from ?? "the first draw"}
+                        </div>
+                        <div
+                          className={[
+                            "mt-1 text-lg font-semibold",
+                            lineHistoryResult.since.net >= 0
+                              ? "text-emerald-300"
+                              : "text-red-300",
+                          ].join(" ")}
+                        >
+                          {lineHistoryResult.since.net < 0 ? "−" : "+"}$
+                          {Math.abs(
+                            lineHistoryResult.since.net
+                          ).toLocaleString()}
+                          {lineHistoryResult.since.jackpots > 0
+                            ? ` + ${lineHistoryResult.since.jackpots} jackpot${
+                                lineHistoryResult.since.jackpots > 1 ? "s" : ""
+                              }`
+                            : ""}
+                        </div>
+                        <div className="mt-1 text-xs text-white/60">
+                          Won ${lineHistoryResult.since.won.toLocaleString()} ·
+                          spent ${lineHistoryResult.since.cost.toLocaleString()}{" "}
+                          on {lineHistoryResult.since.draws.toLocaleString()}{" "}
+                          {lineHistoryResult.since.draws === 1
+                            ? "draw"
+                            : "draws"}
+                        </div>
+                      </div>
+                    </div>
+
+                    {lineHistoryResult.wins.length > 0 ? (
+                      <div className="max-h-80 overflow-auto">
+                        <table className="w-full text-left text-sm">
+                          <thead className="text-xs text-white/50">
+                            <tr>
+                              <th className="py-1 pr-3 font-semibold">Draw</th>
+                              <th className="py-1 pr-3 font-semibold">Match</th>
+                              <th className="py-1 text-right font-semibold">
+                                Prize
+                              </th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {lineHistoryResult.wins.map((win, i) => (
+                              <tr
+                                key={`${win.date}-${i}`}
+                                className="border-t border-white/10 text-white/80"
+                              >
+                                <td className="py-1 pr-3">
+                                  {win.date ?? "Undated"}
+                                  {win.era && win.era !== CURRENT_ERA.id ? (
+                                    <span className="ml-2 text-xs text-white/50">
+                                      older game
+                                    </span>
+                                  ) : null}
+                                </td>
+                                <td className="py-1 pr-3">
+                                  {tierLabel(win.tier)}
+                                </td>
+                                <td className="py-1 text-right font-semibold text-emerald-300">
+                                  {formatPrize(win.prize)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <div className="text-sm text-white/60">
+                        This line never won a prize.
+                      </div>
+                    )}
                   </div>
                 ) : null}
               </div>
@@ -2620,6 +6975,69 @@ const PowerballGenerator = () => {
           </footer>
         </div>
       </div>
+
+      {printingSlips ? (
+        <div className="play-slips">
+          {playSlips(picks).map((slip) => (
+            <section key={slip.number} className="play-slip">
+              <header className="play-slip-header">
+                <strong>POWERBALL</strong>
+                <span>
+                  Slip {slip.number} · fill the marked boxes · $
+                  {slip.plays.length * TICKET_PRICE}
+                </span>
+              </header>
+              <div className="play-slip-plays">
+                {slip.plays.map((play) => (
+                  <div key={play.label} className="play-slip-play">
+                    <div className="play-slip-label">{play.label}</div>
+                    <div className="play-slip-grid">
+                      {SLIP_MAIN_ROWS.map((row) => (
+                        <div key={row[0]} className="play-slip-row">
+                          {row.map((n) => (
+                            <span
+                              key={n}
+                              className={
+                                play.main.includes(n)
+                                  ? "play-slip-box marked"
+                                  : "play-slip-box"
+                              }
+                            >
+                              {n}
+                            </span>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                    <div className="play-slip-pb-title">Powerball</div>
+                    <div className="play-slip-grid">
+                      {SLIP_PB_ROWS.map((row) => (
+                        <div key={row[0]} className="play-slip-row">
+                          {row.map((n) => (
+                            <span
+                              key={n}
+                              className={
+                                play.powerball === n
+                                  ? "play-slip-box pb marked"
+                                  : "play-slip-box pb"
+                              }
+                            >
+                              {n}
+                            </span>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                    <div className="play-slip-numbers">
+                      {formatPickLine(play)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </section>
+          ))}
+        </div>
+      ) : null}
     </div>
   );
 };
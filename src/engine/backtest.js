@@ -0,0 +1,133 @@
+// Backtester: replay history to see whether a strategy would have done any
+// better than another. For each past draw we generate lines from only the draws
+// before it, score them against that draw, and tally prize tiers per strategy.
+
+import { POWER_PLAY_PRICE, TICKET_PRICE } from "./constants.js";
+import { drawDateMs, isoDay } from "./dates.js";
+import { filterDrawsByHistory } from "./eras.js";
+import { analyzeDraws, generatePicks } from "./generator.js";
+import { PRIZE_TIERS, computePrize, scoreLine } from "./prizes.js";
+import { normalizeSeed } from "./random.js";
+
+// Lines per strategy per draw; the run costs lines × strategies × draws.
+export const BACKTEST_MAX_LINES = 100;
+// Draws a target needs before it so the strategies have something to work with.
+export const MIN_PRIOR_DRAWS = 20;
+
+function emptyTally(key, label) {
+  return {
+    key,
+    label,
+    lines: 0,
+    cost: 0,
+    winnings: 0,
+    jackpots: 0,
+    tiers: Object.fromEntries(PRIZE_TIERS.map((tier) => [tier, 0])),
+  };
+}
+
+// Dated draws from the chosen history, oldest first, minus the first few that
+// don't have enough history before them. `drawsBack` keeps the most recent N.
+export function backtestTargets(draws, { history, drawsBack } = {}) {
+  const dated = (Array.isArray(draws) ? draws : [])
+    .map((d) => ({ ...d, _drawDateMs: drawDateMs(d) }))
+    .filter((d) => d._drawDateMs != null)
+    .sort((a, b) => a._drawDateMs - b._drawDateMs);
+  const eligible = filterDrawsByHistory(dated, history).filter(
+    (d) => dated.indexOf(d) >= MIN_PRIOR_DRAWS
+  );
+  return drawsBack ? eligible.slice(-drawsBack) : eligible;
+}
+
+/**
+ * Run the backtest. `strategies` is a list of { key, label, strategy } where
+ * `strategy` is anything generatePicks accepts (a name or a blend). Every
+ * strategy gets the same seed for a given draw, so differences come from the
+ * weights rather than luck of the RNG stream.
+ *
+ * Winnings exclude jackpots (their value depends on the run); those are counted
+ * in `jackpots`. With `powerPlay` each line costs an extra $1 and prizes use
+ * that draw's multiplier.
+ *
+ * Async so callers stay responsive: it yields between draws, reports
+ * `onProgress(done, total)`, and stops early when `signal` is aborted (the
+ * partial tallies are still returned, with `aborted` set).
+ */
+export async function runBacktest(
+  {
+    draws,
+    strategies,
+    lines = 5,
+    randomness = 70,
+    drawsBack = 100,
+    history,
+    recency,
+    powerPlay = false,
+    rejectDrawnWhites = false,
+    seed = 1,
+  },
+  { onProgress, signal } = {}
+) {
+  const dated = (Array.isArray(draws) ? draws : [])
+    .map((d) => ({ ...d, _drawDateMs: drawDateMs(d) }))
+    .filter((d) => d._drawDateMs != null)
+    .sort((a, b) => a._drawDateMs - b._drawDateMs);
+  const targets = backtestTargets(dated, { history, drawsBack });
+  const tallies = strategies.map(({ key, label }) => emptyTally(key, label));
+  const linePrice = TICKET_PRICE + (powerPlay ? POWER_PLAY_PRICE : 0);
+
+  let done = 0;
+  for (const target of targets) {
+    if (signal?.aborted) break;
+
+    const prior = dated.filter((d) => d._drawDateMs < target._drawDateMs);
+    const analysis = analyzeDraws(prior, {
+      history,
+      recency,
+      triplets: false,
+    });
+    const drawSeed = normalizeSeed(`${seed}:${isoDay(target._drawDateMs)}`);
+
+    strategies.forEach(({ strategy }, i) => {
+      const { picks } = generatePicks({
+        analysis,
+        strategy,
+        randomness,
+        count: Math.min(lines, BACKTEST_MAX_LINES),
+        rejectDrawnWhites,
+        seed: drawSeed,
+      });
+      const tally = tallies[i];
+      for (const line of picks) {
+        const { whiteMatches, pbMatch, tier } = scoreLine(line, target);
+        const prize = computePrize(
+          whiteMatches,
+          pbMatch,
+          powerPlay ? target.multiplier : null
+        );
+        const amount = powerPlay
+          ? prize.withPowerPlay ?? prize.base
+          : prize.base;
+
+        tally.lines++;
+        tally.cost += linePrice;
+        if (tier in tally.tiers) tally.tiers[tier]++;
+        if (amount === "JACKPOT") tally.jackpots++;
+        else tally.winnings += amount;
+      }
+    });
+
+    done++;
+    onProgress?.(done, targets.length);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  return {
+    draws: done,
+    totalDraws: targets.length,
+    from: targets.length ? isoDay(targets[0]._drawDateMs) : null,
+    to: done ? isoDay(targets[done - 1]._drawDateMs) : null,
+    aborted: done < targets.length,
+    results: tallies,
+  };
+}
@@ -0,0 +1,21 @@
+// A "batch" is everything needed to rebuild a set of picks: generator settings
+// plus the seed, or a wheel spec. Both the Generate buttons and shared links go
+// through runBatch so a replay always takes the same path as the original.
+
+import { generatePicks } from "./generator.js";
+import { assignPowerballs, buildWheel } from "./wheel.js";
+
+export function runBatch(batch, analysis, { onProgress } = {}) {
+  if (batch.wheel) {
+    const lines = buildWheel(batch.wheel);
+    return {
+      seed: batch.seed,
+      picks: assignPowerballs(lines, { ...batch, analysis }),
+      rejected: 0,
+      rejectedBy: {},
+      unresolved: 0,
+      unresolvedBy: {},
+    };
+  }
+  return generatePicks({ ...batch, analysis, onProgress });
+}
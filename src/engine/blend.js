@@ -0,0 +1,48 @@
+// Custom strategies: a named mix of the built-in strategies plus "uniform",
+// stored as whole-number shares ({ hot: 40, "cold-recently": 30, uniform: 30 }).
+// Shares don't have to add up to 100; the generator normalizes them.
+
+import { STRATEGIES, clampInt, isPairStrategy } from "./generator.js";
+
+// Pair strategies depend on the line being built, so they can't be mixed into
+// a fixed per-number weighting.
+export const BLEND_COMPONENTS = [
+  ...STRATEGIES.filter((s) => !isPairStrategy(s)),
+  "uniform",
+];
+
+// Keeps known components with a positive share, in BLEND_COMPONENTS order so
+// equal mixes always encode (and sample) identically. Null if nothing is left.
+export function normalizeBlend(mix) {
+  const out = {};
+  for (const key of BLEND_COMPONENTS) {
+    const share = clampInt(mix?.[key] ?? 0, 0, 100);
+    if (share > 0) out[key] = share;
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+export function encodeBlend(blend) {
+  return Object.entries(normalizeBlend(blend) ?? {})
+    .map(([key, share]) => `${key}:${share}`)
+    .join(",");
+}
+
+export function parseBlend(value) {
+  const mix = {};
+  for (const part of String(value ?? "").split(",")) {
+    const [key, share] = part.split(":");
+    if (key) mix[key.trim()] = share;
+  }
+  return normalizeBlend(mix);
+}
+
+// Percentages that add up to 100 for display.
+export function blendPercents(blend) {
+  const entries = Object.entries(normalizeBlend(blend) ?? {});
+  const total = entries.reduce((acc, [, share]) => acc + share, 0);
+  return entries.map(([key, share]) => [
+    key,
+    Math.round((share / total) * 100),
+  ]);
+}
@@ -0,0 +1,45 @@
+// Budget planner: how many lines a fixed amount of money buys when every line
+// is played for the same run of draws with the same add-ons.
+
+import { MAX_LINES } from "./constants.js";
+import { MAX_TICKET_DRAWS, linePrice } from "./tickets.js";
+
+/**
+ * Plan lines for `budget` dollars over `draws` draws. Returns { price (one
+ * line, one draw), perLine (one line, every draw), lines, perDraw (cost of
+ * each draw), cost, leftover, capped } or { error }. `capped` is set when the
+ * budget would buy more than MAX_LINES lines.
+ */
+export function planBudget({ budget, draws, powerPlay, doublePlay }) {
+  const amount = Number(budget);
+  const drawCount = Math.trunc(Number(draws));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: "Enter a budget above $0." };
+  }
+  if (!(drawCount >= 1 && drawCount <= MAX_TICKET_DRAWS)) {
+    return { error: `Draws must be 1–${MAX_TICKET_DRAWS}.` };
+  }
+
+  const price = linePrice(powerPlay, doublePlay);
+  const perLine = price * drawCount;
+  const affordable = Math.floor(amount / perLine);
+  if (affordable < 1) {
+    return {
+      error: `One line for ${drawCount} ${
+        drawCount === 1 ? "draw" : "draws"
+      } costs $${perLine}; the budget is $${amount}.`,
+    };
+  }
+
+  const lines = Math.min(affordable, MAX_LINES);
+  const cost = lines * perLine;
+  return {
+    price,
+    perLine,
+    lines,
+    perDraw: lines * price,
+    cost,
+    leftover: amount - cost,
+    capped: affordable > MAX_LINES,
+  };
+}
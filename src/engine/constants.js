@@ -0,0 +1,10 @@
+// Game shape (current 69/26 matrix) and pricing shared across the engine.
+
+export const MAIN_MAX = 69;
+export const PB_MAX = 26;
+export const MAIN_COUNT = 5;
+export const MAX_LINES = 5000;
+export const TICKET_PRICE = 2; // dollars per line, before Power Play
+export const POWER_PLAY_PRICE = 1; // extra dollars per line per draw
+export const DOUBLE_PLAY_PRICE = 1; // extra dollars per line per draw
+export const DOUBLE_PLAY_START = "2021-08-23"; // first Double Play drawing
@@ -0,0 +1,129 @@
+// Pattern constraints for generated lines. Every field is optional; null means
+// "don't care". Lines that break a constraint get resampled by the generator.
+
+import { MAIN_COUNT } from "./constants.js";
+
+// 1–34 is "low", 35–69 is "high".
+export const HIGH_MIN = 35;
+
+export const MIN_SUM = 1 + 2 + 3 + 4 + 5;
+export const MAX_SUM = 65 + 66 + 67 + 68 + 69;
+
+export const DEFAULT_CONSTRAINTS = {
+  sumMin: null,
+  sumMax: null,
+  oddCount: null,
+  highCount: null,
+  maxRun: null,
+  maxPerDecade: null,
+  minLastDigits: null,
+};
+
+export function hasConstraints(constraints) {
+  return Object.values(constraints ?? {}).some((v) => v != null);
+}
+
+export function longestRun(main) {
+  const sorted = [...main].sort((a, b) => a - b);
+  let best = sorted.length > 0 ? 1 : 0;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    run = sorted[i] === sorted[i - 1] + 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+  return best;
+}
+
+// Decades are 1–9, 10–19, …, 60–69.
+export function maxDecadeCount(main) {
+  const counts = {};
+  for (const n of main) {
+    const decade = Math.floor(n / 10);
+    counts[decade] = (counts[decade] || 0) + 1;
+  }
+  return Math.max(0, ...Object.values(counts));
+}
+
+export function linePattern(main) {
+  return {
+    sum: main.reduce((acc, n) => acc + n, 0),
+    oddCount: main.filter((n) => n % 2 === 1).length,
+    highCount: main.filter((n) => n >= HIGH_MIN).length,
+    maxRun: longestRun(main),
+    maxPerDecade: maxDecadeCount(main),
+    lastDigits: new Set(main.map((n) => n % 10)).size,
+  };
+}
+
+// Returns which constraint the 5 main numbers break, or null if they pass.
+export function constraintViolation(main, constraints) {
+  if (!hasConstraints(constraints)) return null;
+  const c = constraints;
+  const p = linePattern(main);
+
+  if (c.sumMin != null && p.sum < c.sumMin) return "sum";
+  if (c.sumMax != null && p.sum > c.sumMax) return "sum";
+  if (c.oddCount != null && p.oddCount !== c.oddCount) return "odd";
+  if (c.highCount != null && p.highCount !== c.highCount) return "high";
+  if (c.maxRun != null && p.maxRun > c.maxRun) return "run";
+  if (c.maxPerDecade != null && p.maxPerDecade > c.maxPerDecade) {
+    return "decade";
+  }
+  if (c.minLastDigits != null && p.lastDigits < c.minLastDigits) {
+    return "digits";
+  }
+  return null;
+}
+
+/**
+ * Catch settings that can never be satisfied before we try to sample: bad sum
+ * ranges and locked numbers that already break a rule. Anything subtler is
+ * caught at generation time by the per-line attempt cap.
+ */
+export function validateConstraints(constraints, mainLocked = []) {
+  const c = { ...DEFAULT_CONSTRAINTS, ...constraints };
+  const locked = (mainLocked ?? []).slice(0, MAIN_COUNT);
+
+  if (c.sumMin != null && c.sumMax != null && c.sumMin > c.sumMax) {
+    return "Sum minimum is above the maximum.";
+  }
+  if (c.sumMin != null && c.sumMin > MAX_SUM) {
+    return `Sum minimum can't exceed ${MAX_SUM}.`;
+  }
+  if (c.sumMax != null && c.sumMax < MIN_SUM) {
+    return `Sum maximum can't be below ${MIN_SUM}.`;
+  }
+
+  const free = MAIN_COUNT - locked.length;
+  const lockedOdd = locked.filter((n) => n % 2 === 1).length;
+  if (
+    c.oddCount != null &&
+    (lockedOdd > c.oddCount || lockedOdd + free < c.oddCount)
+  ) {
+    return "Your Main locked numbers don't fit the odd/even split.";
+  }
+  const lockedHigh = locked.filter((n) => n >= HIGH_MIN).length;
+  if (
+    c.highCount != null &&
+    (lockedHigh > c.highCount || lockedHigh + free < c.highCount)
+  ) {
+    return "Your Main locked numbers don't fit the high/low split.";
+  }
+  if (locked.length > 0) {
+    const p = linePattern(locked);
+    if (c.maxRun != null && p.maxRun > c.maxRun) {
+      return "Your Main locked numbers already form a longer consecutive run.";
+    }
+    if (c.maxPerDecade != null && p.maxPerDecade > c.maxPerDecade) {
+      return "Your Main locked numbers already exceed the per-decade limit.";
+    }
+    const lockedSum = locked.reduce((acc, n) => acc + n, 0);
+    if (c.sumMax != null && lockedSum > c.sumMax) {
+      return "Your Main locked numbers already exceed the sum maximum.";
+    }
+  }
+  if (c.minLastDigits != null && c.minLastDigits > MAIN_COUNT) {
+    return `Distinct last digits can't exceed ${MAIN_COUNT}.`;
+  }
+  return null;
+}
@@ -0,0 +1,69 @@
+// Co-occurrence: how often sets of main numbers were drawn together. Pairs
+// drive the pair strategies in generator.js; pairs and triplets both feed the
+// stats panel.
+
+import { MAIN_COUNT } from "./constants.js";
+
+export function comboKey(nums) {
+  return [...nums].sort((a, b) => a - b).join("-");
+}
+
+function subsets(nums, size, start = 0, prefix = [], out = []) {
+  if (prefix.length === size) {
+    out.push(prefix.join("-"));
+    return out;
+  }
+  for (let i = start; i < nums.length; i++) {
+    prefix.push(nums[i]);
+    subsets(nums, size, i + 1, prefix, out);
+    prefix.pop();
+  }
+  return out;
+}
+
+// Map of comboKey -> number of draws containing all `size` numbers.
+export function countCombos(draws, size) {
+  const counts = new Map();
+  for (const draw of Array.isArray(draws) ? draws : []) {
+    const main = [...new Set(draw?.main ?? [])]
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b)
+      .slice(0, MAIN_COUNT);
+    for (const key of subsets(main, size)) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+export function pairCount(pairFreq, a, b) {
+  return pairFreq?.get(a < b ? `${a}-${b}` : `${b}-${a}`) || 0;
+}
+
+/**
+ * Most and least frequent combos among those drawn at least once. Combos that
+ * never appeared aren't listed (for triplets that's most of them); callers can
+ * compare `freq.size` with the number of possible combos instead.
+ */
+export function comboRankings(freq, limit = 10) {
+  const entries = [...(freq ?? new Map())].map(([key, count]) => ({
+    key,
+    nums: key.split("-").map(Number),
+    count,
+  }));
+  const byKey = (a, b) => {
+    for (let i = 0; i < a.nums.length; i++) {
+      if (a.nums[i] !== b.nums[i]) return a.nums[i] - b.nums[i];
+    }
+    return 0;
+  };
+
+  return {
+    most: [...entries]
+      .sort((a, b) => b.count - a.count || byKey(a, b))
+      .slice(0, limit),
+    least: [...entries]
+      .sort((a, b) => a.count - b.count || byKey(a, b))
+      .slice(0, limit),
+  };
+}
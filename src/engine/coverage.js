@@ -0,0 +1,95 @@
+// Coverage-optimized batches: steer each new line away from main numbers,
+// pairs and Powerballs the batch already uses, so group plays don't pay twice
+// for the same combinations. Plus the metrics to judge how well that worked.
+
+import { MAIN_MAX, PB_MAX } from "./constants.js";
+
+// Per-use multipliers. Small enough that an unused number almost always wins
+// over a used one, but never zero so locks and tiny pools still work.
+const MAIN_REUSE_FACTOR = 0.05;
+const PAIR_REUSE_FACTOR = 0.05;
+const PB_REUSE_FACTOR = 0.05;
+
+export const TOTAL_PAIRS = (MAIN_MAX * (MAIN_MAX - 1)) / 2;
+
+function pairKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// Multipliers for each candidate, worked out in log space relative to the
+// least-used candidate (which gets 1). Raw powers of the factors underflow to
+// zero once a big batch has used every number dozens of times.
+function relativeFactors(candidates, logWeight) {
+  const logs = candidates.map(logWeight);
+  const best = Math.max(...logs);
+  return new Map(candidates.map((n, i) => [n, Math.exp(logs[i] - best)]));
+}
+
+export function createCoverageTracker() {
+  const mainUses = new Map();
+  const pairUses = new Map();
+  const pbUses = new Map();
+
+  return {
+    // Multipliers for adding each of `candidates` to a line that already
+    // holds `partial`.
+    mainFactors(candidates, partial) {
+      return relativeFactors(candidates, (n) => {
+        let pairHits = 0;
+        for (const m of partial) pairHits += pairUses.get(pairKey(n, m)) || 0;
+        return (
+          (mainUses.get(n) || 0) * Math.log(MAIN_REUSE_FACTOR) +
+          pairHits * Math.log(PAIR_REUSE_FACTOR)
+        );
+      });
+    },
+    pbFactors(candidates) {
+      return relativeFactors(
+        candidates,
+        (n) => (pbUses.get(n) || 0) * Math.log(PB_REUSE_FACTOR)
+      );
+    },
+    record({ main, powerball }) {
+      main.forEach((n, i) => {
+        mainUses.set(n, (mainUses.get(n) || 0) + 1);
+        for (const m of main.slice(i + 1)) {
+          const key = pairKey(n, m);
+          pairUses.set(key, (pairUses.get(key) || 0) + 1);
+        }
+      });
+      pbUses.set(powerball, (pbUses.get(powerball) || 0) + 1);
+    },
+  };
+}
+
+export function coverageStats(picks) {
+  const mains = new Set();
+  const pairs = new Set();
+  const pbs = new Set();
+  let pairSlots = 0;
+
+  for (const pick of picks ?? []) {
+    if (!Array.isArray(pick?.main)) continue;
+    pick.main.forEach((n, i) => {
+      if (n == null) return;
+      mains.add(n);
+      for (const m of pick.main.slice(i + 1)) {
+        if (m == null) continue;
+        pairs.add(pairKey(n, m));
+        pairSlots++;
+      }
+    });
+    if (pick.powerball != null) pbs.add(pick.powerball);
+  }
+
+  return {
+    distinctMains: mains.size,
+    totalMains: MAIN_MAX,
+    distinctPairs: pairs.size,
+    // Pairs the batch could have covered if no pair repeated.
+    pairSlots,
+    totalPairs: TOTAL_PAIRS,
+    distinctPbs: pbs.size,
+    totalPbs: PB_MAX,
+  };
+}
@@ -0,0 +1,18 @@
+// Draw-date helpers shared by the analysis, era and sharing modules.
+
+export function drawDateMs(draw) {
+  if (draw?._drawDateMs != null) return draw._drawDateMs;
+  const raw = draw?.drawDate;
+  const ms =
+    raw instanceof Date
+      ? raw.getTime()
+      : typeof raw === "string" || typeof raw === "number"
+      ? Date.parse(String(raw))
+      : Number.NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// YYYY-MM-DD (UTC) for a timestamp, or null.
+export function isoDay(ms) {
+  return ms == null ? null : new Date(ms).toISOString().slice(0, 10);
+}
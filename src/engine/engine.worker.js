@@ -0,0 +1,41 @@
+// Web Worker entry for jobs.js. One worker per job: the client terminates it
+// to cancel synchronous jobs, and a fresh worker keeps jobs from queueing.
+//
+// Messages in:  { type: "run", job, payload } | { type: "cancel" }
+// Messages out: { type: "progress", done, total } | { type: "result", result }
+//               | { type: "error", message }
+
+import { runJob } from "./jobs.js";
+
+// Posting on every line of a big batch would flood the main thread.
+const PROGRESS_INTERVAL_MS = 50;
+
+const controller = new AbortController();
+let lastProgressAt = 0;
+
+const reportProgress = (done, total) => {
+  const now = Date.now();
+  if (done < total && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+  lastProgressAt = now;
+  self.postMessage({ type: "progress", done, total });
+};
+
+self.onmessage = async (event) => {
+  const { type, job, payload } = event.data ?? {};
+
+  if (type === "cancel") {
+    controller.abort();
+    return;
+  }
+  if (type !== "run") return;
+
+  try {
+    const result = await runJob(job, payload, {
+      onProgress: reportProgress,
+      signal: controller.signal,
+    });
+    self.postMessage({ type: "result", result });
+  } catch (e) {
+    self.postMessage({ type: "error", message: e?.message || "Job failed" });
+  }
+};
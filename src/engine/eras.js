@@ -0,0 +1,102 @@
+// Powerball game eras. The matrix changed in 2012 and again in October 2015
+// (59/35 -> 69/26), so mixing eras skews frequencies, the Powerball's most of
+// all. The sync worker tags draws with `era`/`outOfMatrix`; we fall back to the
+// draw date for data synced before that.
+//
+// A "history" setting picks which draws feed the analysis, encoded as a string
+// so it can live in state and share links: "all", an era id, or "from~to"
+// (YYYY-MM-DD, either side may be empty).
+
+import { MAIN_MAX, PB_MAX } from "./constants.js";
+import { drawDateMs, isoDay } from "./dates.js";
+
+export const GAME_ERAS = [
+  {
+    id: "2015-10",
+    label: "Current game: 69/26 (Oct 2015 – today)",
+    start: "2015-10-07",
+    end: null,
+    mainMax: 69,
+    pbMax: 26,
+  },
+  {
+    id: "2012-01",
+    label: "59/35 (Jan 2012 – Oct 2015)",
+    start: "2012-01-15",
+    end: "2015-10-06",
+    mainMax: 59,
+    pbMax: 35,
+  },
+  {
+    id: "2009-01",
+    label: "59/39 (Jan 2009 – Jan 2012)",
+    start: "2009-01-07",
+    end: "2012-01-14",
+    mainMax: 59,
+    pbMax: 39,
+  },
+];
+
+export const CURRENT_ERA = GAME_ERAS[0];
+export const DEFAULT_HISTORY = CURRENT_ERA.id;
+
+export function drawEra(draw) {
+  if (draw?.era) return draw.era;
+  const day = isoDay(drawDateMs(draw));
+  // Undated draws are the embedded/dev sample, which is current-game data.
+  if (!day) return CURRENT_ERA.id;
+  return GAME_ERAS.find((era) => day >= era.start)?.id ?? null;
+}
+
+export function isOutOfMatrix(draw) {
+  if (typeof draw?.outOfMatrix === "boolean") return draw.outOfMatrix;
+  return (
+    !Array.isArray(draw?.main) ||
+    draw.main.some((n) => !(n >= 1 && n <= MAIN_MAX)) ||
+    !(draw.powerball >= 1 && draw.powerball <= PB_MAX)
+  );
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns a valid history string, or null.
+export function normalizeHistory(value) {
+  const raw = String(value ?? "");
+  if (raw === "all" || GAME_ERAS.some((era) => era.id === raw)) return raw;
+  const [from = "", to = "", extra] = raw.split("~");
+  if (extra !== undefined || !raw.includes("~")) return null;
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) return null;
+  if (from && to && from > to) return null;
+  return `${from}~${to}`;
+}
+
+export function historyRange(history) {
+  const [from = "", to = ""] = String(history ?? "").split("~");
+  return { from: from || null, to: to || null };
+}
+
+export function filterDrawsByHistory(draws, history) {
+  const list = Array.isArray(draws) ? draws : [];
+  const h = normalizeHistory(history);
+  if (!h || h === "all") return list;
+  if (!h.includes("~")) return list.filter((d) => drawEra(d) === h);
+
+  const { from, to } = historyRange(h);
+  return list.filter((d) => {
+    const day = isoDay(drawDateMs(d));
+    if (!day) return true;
+    return (!from || day >= from) && (!to || day <= to);
+  });
+}
+
+export function describeHistory(history) {
+  const h = normalizeHistory(history);
+  if (h === "all") return "All draws";
+  const era = GAME_ERAS.find((e) => e.id === h);
+  if (era) return era.label;
+  const { from, to } = historyRange(h);
+  if (from && to) return `${from} to ${to}`;
+  if (from) return `Since ${from}`;
+  if (to) return `Through ${to}`;
+  return "All draws";
+}
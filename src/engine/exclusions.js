@@ -0,0 +1,40 @@
+// Excluded numbers: mains and Powerballs the generator must never pick.
+
+import { MAIN_COUNT, MAIN_MAX, PB_MAX } from "./constants.js";
+
+/**
+ * Catch exclusions that can't work before we try to sample: numbers that are
+ * both locked and excluded, and pools with too few numbers left to fill a line.
+ */
+export function validateExclusions({
+  mainLocked = [],
+  powerballLocked = [],
+  mainExcluded = [],
+  powerballExcluded = [],
+} = {}) {
+  const mainOut = new Set(mainExcluded);
+  const pbOut = new Set(powerballExcluded);
+
+  const mainClash = mainLocked.filter((n) => mainOut.has(n));
+  if (mainClash.length > 0) {
+    return `Main ${mainClash.join(", ")} ${
+      mainClash.length === 1 ? "is" : "are"
+    } both locked and excluded.`;
+  }
+  const pbClash = powerballLocked.filter((n) => pbOut.has(n));
+  if (pbClash.length > 0) {
+    return `Powerball ${pbClash.join(", ")} ${
+      pbClash.length === 1 ? "is" : "are"
+    } both locked and excluded.`;
+  }
+  const mainLeft = MAIN_MAX - mainOut.size;
+  if (mainLeft < MAIN_COUNT) {
+    return `Only ${mainLeft} main ${
+      mainLeft === 1 ? "number is" : "numbers are"
+    } left; a line needs ${MAIN_COUNT}.`;
+  }
+  if (pbOut.size >= PB_MAX) {
+    return "Every Powerball is excluded; leave at least one.";
+  }
+  return null;
+}
@@ -0,0 +1,128 @@
+// Expected value of one Powerball line for a given advertised jackpot. Prize
+// amounts come from computePrize and odds from getOdds; the jackpot side adds
+// the cash option, taxes and the chance of sharing it with other winners.
+
+import { POWER_PLAY_PRICE, TICKET_PRICE } from "./constants.js";
+import { PRIZE_TIERS, computePrize, getOdds } from "./prizes.js";
+
+export const DEFAULT_EV_SETTINGS = {
+  payout: "lump", // "lump" | "annuity"
+  cashRatio: 0.46, // cash option as a share of the advertised annuity
+  federalRate: 0.37, // top bracket, which a jackpot always reaches
+  stateRate: 0,
+  powerPlay: false,
+};
+
+// Winnings at or below this aren't reported for tax, so they're kept whole.
+export const TAX_FREE_PRIZE = 600;
+
+// Power Play multiplier odds: 10x is only in play while the advertised
+// jackpot is $150M or less.
+export const POWER_PLAY_10X_MAX_JACKPOT = 150000000;
+const MULTIPLIER_WEIGHTS = { 2: 24, 3: 13, 4: 3, 5: 2, 10: 1 };
+
+export function powerPlayMultipliers(jackpot) {
+  const entries = Object.entries(MULTIPLIER_WEIGHTS)
+    .map(([m, weight]) => [Number(m), weight])
+    .filter(([m]) => m !== 10 || jackpot <= POWER_PLAY_10X_MAX_JACKPOT);
+  const total = entries.reduce((acc, [, weight]) => acc + weight, 0);
+  return entries.map(([multiplier, weight]) => ({
+    multiplier,
+    probability: weight / total,
+  }));
+}
+
+/**
+ * Tickets sold for a draw, projected from the advertised jackpot. A power-law
+ * fit to past draws: about 10M tickets at $20M, 90M at $500M and 150M at $1B.
+ * Only a rough guide; actual sales swing with news coverage.
+ */
+export function projectedSales(jackpot) {
+  const millions = Math.max(1, Number(jackpot) / 1000000);
+  return Math.round(1260000 * millions ** 0.692);
+}
+
+/**
+ * Other jackpot winners among `sales` tickets are close to Poisson with mean
+ * λ = sales × P(jackpot). Returns the chance at least one other ticket wins
+ * and the share of the jackpot a winner can expect, E[1 / (1 + others)] =
+ * (1 − e^−λ) / λ.
+ */
+export function jackpotSplit(sales) {
+  const lambda = sales / getOdds(5, true);
+  if (lambda <= 0) return { lambda: 0, splitChance: 0, expectedShare: 1 };
+  return {
+    lambda,
+    splitChance: 1 - Math.exp(-lambda),
+    expectedShare: (1 - Math.exp(-lambda)) / lambda,
+  };
+}
+
+function afterTax(amount, taxRate) {
+  return amount > TAX_FREE_PRIZE ? amount * (1 - taxRate) : amount;
+}
+
+/**
+ * EV of one line at an advertised (annuity) `jackpot`. Returns { cost,
+ * jackpotValue (after cash option and tax, before splitting), sales, split,
+ * tiers: [{ tier, odds, prize, ev }], jackpotEv, ev, net, returnPct }.
+ * The annuity is taken at face value (30 payments, not discounted).
+ */
+export function expectedValue(jackpot, settings = DEFAULT_EV_SETTINGS) {
+  const { payout, cashRatio, federalRate, stateRate, powerPlay } = {
+    ...DEFAULT_EV_SETTINGS,
+    ...settings,
+  };
+  const taxRate = Math.min(1, Math.max(0, federalRate + stateRate));
+  const cost = TICKET_PRICE + (powerPlay ? POWER_PLAY_PRICE : 0);
+  const multipliers = powerPlay ? powerPlayMultipliers(jackpot) : null;
+
+  const gross = payout === "annuity" ? jackpot : jackpot * cashRatio;
+  const jackpotValue = afterTax(gross, taxRate);
+  const sales = projectedSales(jackpot);
+  const split = jackpotSplit(sales);
+
+  const tiers = PRIZE_TIERS.map((tier) => {
+    const [white, pb] = tier.split("-").map(Number);
+    const odds = getOdds(white, pb === 1);
+    let prize;
+    if (tier === "5-1") {
+      prize = jackpotValue * split.expectedShare;
+    } else if (multipliers) {
+      // Average over the multiplier that might be drawn.
+      prize = multipliers.reduce((acc, { multiplier, probability }) => {
+        const { withPowerPlay } = computePrize(white, pb === 1, multiplier);
+        return acc + probability * afterTax(withPowerPlay, taxRate);
+      }, 0);
+    } else {
+      prize = afterTax(computePrize(white, pb === 1, null).base, taxRate);
+    }
+    return { tier, odds, prize, ev: prize / odds };
+  });
+
+  const ev = tiers.reduce((acc, t) => acc + t.ev, 0);
+  return {
+    cost,
+    jackpotValue,
+    sales,
+    split,
+    tiers,
+    jackpotEv: tiers[0].ev,
+    ev,
+    net: ev - cost,
+    returnPct: (ev / cost) * 100,
+  };
+}
+
+/**
+ * Smallest advertised jackpot (to the nearest $10M, up to $10B) at which a
+ * line's EV covers its cost, or null if it never does: past a point, more
+ * tickets sold means more splitting and EV stops growing.
+ */
+export function breakEvenJackpot(settings = DEFAULT_EV_SETTINGS) {
+  const step = 10000000;
+  for (let jackpot = 20000000; jackpot <= 10000000000; jackpot += step) {
+    if (expectedValue(jackpot, settings).net >= 0) return jackpot;
+  }
+  return null;
+}
@@ -0,0 +1,77 @@
+// Export the picks list: CSV for spreadsheets, JSON with the generator inputs
+// behind it, and the panel layout for printable play slips.
+
+import { MAIN_COUNT, MAIN_MAX, PB_MAX } from "./constants.js";
+
+// A printed Powerball slip has five plays, A through E.
+export const SLIP_PLAYS = ["A", "B", "C", "D", "E"];
+// Numbers per row in each play's grid, like the vertical panels on the slip.
+export const SLIP_COLUMNS = 5;
+
+export function picksToCsv(picks) {
+  const header = [
+    "line",
+    ...Array.from({ length: MAIN_COUNT }, (_, i) => `n${i + 1}`),
+    "powerball",
+  ];
+  const rows = (picks ?? []).map((pick, i) =>
+    [i + 1, ...pick.main, pick.powerball].join(",")
+  );
+  return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * JSON export. `batch` is the generator input (seed, strategy, locks, …) so
+ * the file records how the lines were made; `edited` flags lines changed by
+ * hand after generating, which the seed alone won't reproduce.
+ */
+export function picksToJson(picks, { batch = null, edited = false } = {}) {
+  return JSON.stringify(
+    {
+      format: "powerball-picks",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      generation: batch,
+      edited,
+      lines: (picks ?? []).map((pick) => ({
+        main: [...pick.main],
+        powerball: pick.powerball,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// 1..max in rows of SLIP_COLUMNS.
+function gridRows(max) {
+  const rows = [];
+  for (let n = 1; n <= max; n += SLIP_COLUMNS) {
+    rows.push(
+      Array.from(
+        { length: Math.min(SLIP_COLUMNS, max - n + 1) },
+        (_, i) => n + i
+      )
+    );
+  }
+  return rows;
+}
+
+export const SLIP_MAIN_ROWS = gridRows(MAIN_MAX);
+export const SLIP_PB_ROWS = gridRows(PB_MAX);
+
+// Picks split into slips of up to five plays: [{ number, plays: [{ label,
+// main, powerball }] }].
+export function playSlips(picks) {
+  const slips = [];
+  (picks ?? []).forEach((pick, i) => {
+    const slot = i % SLIP_PLAYS.length;
+    if (slot === 0) slips.push({ number: slips.length + 1, plays: [] });
+    slips[slips.length - 1].plays.push({
+      label: SLIP_PLAYS[slot],
+      main: pick.main,
+      powerball: pick.powerball,
+    });
+  });
+  return slips;
+}
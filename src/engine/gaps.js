@@ -0,0 +1,56 @@
+// Gap analysis: how many draws since each number last appeared, and how that
+// compares with its usual spacing. Feeds the `overdue` strategy and the stats
+// panel.
+
+/**
+ * `draws` must be sorted most recent first; `numbersOf(draw)` returns the
+ * numbers to track (the mains, or the Powerball as a one-item array).
+ *
+ * Per number: `current` draws since last seen (all of them if never seen),
+ * `average` and `max` spacing between consecutive appearances (including the
+ * current gap in the max), and `hits`. `average` is null with fewer than two
+ * appearances, since there's no spacing to measure yet.
+ */
+export function computeGaps(draws, numbersOf, maxNumber) {
+  // Walking newest -> oldest, the first hit is the current gap.
+  const firstSeen = new Map();
+  const lastSeen = new Map();
+  const intervals = new Map();
+  const hits = new Map();
+
+  draws.forEach((draw, idx) => {
+    for (const n of new Set(numbersOf(draw))) {
+      if (!Number.isInteger(n) || n < 1 || n > maxNumber) continue;
+      hits.set(n, (hits.get(n) || 0) + 1);
+      if (!firstSeen.has(n)) firstSeen.set(n, idx);
+      if (lastSeen.has(n)) {
+        if (!intervals.has(n)) intervals.set(n, []);
+        intervals.get(n).push(idx - lastSeen.get(n));
+      }
+      lastSeen.set(n, idx);
+    }
+  });
+
+  const gaps = {};
+  for (let n = 1; n <= maxNumber; n++) {
+    const spacing = intervals.get(n) ?? [];
+    const current = firstSeen.get(n) ?? draws.length;
+    gaps[n] = {
+      current,
+      average:
+        spacing.length > 0
+          ? spacing.reduce((acc, g) => acc + g, 0) / spacing.length
+          : null,
+      max: Math.max(current, ...spacing),
+      hits: hits.get(n) || 0,
+    };
+  }
+  return gaps;
+}
+
+// How far past its usual spacing a number is: 0 = on schedule or early,
+// 1 = twice its average gap, and so on.
+export function overdueRatio(gap) {
+  if (!gap?.average) return 0;
+  return Math.max(0, (gap.current - gap.average) / gap.average);
+}
@@ -0,0 +1,549 @@
+// Pure pick generator shared by the React app (and anything else that wants it:
+// the worker, a CLI, tests). No React, no DOM, no Math.random() — all randomness
+// comes from a seeded RNG so the same inputs + seed always yield the same lines.
+
+import { MAIN_COUNT, MAIN_MAX, MAX_LINES, PB_MAX } from "./constants.js";
+import { constraintViolation } from "./constraints.js";
+import { countCombos, pairCount } from "./cooccurrence.js";
+import { drawDateMs } from "./dates.js";
+import { filterDrawsByHistory } from "./eras.js";
+import { computeGaps, overdueRatio } from "./gaps.js";
+import { createCoverageTracker } from "./coverage.js";
+import { linePatternReason, unpopularWeight } from "./popularity.js";
+import { createRng, normalizeSeed, randomSeed } from "./random.js";
+import { recentDraws as recentWindow } from "./recency.js";
+
+export {
+  DOUBLE_PLAY_PRICE,
+  MAIN_COUNT,
+  MAIN_MAX,
+  MAX_LINES,
+  PB_MAX,
+  POWER_PLAY_PRICE,
+  TICKET_PRICE,
+} from "./constants.js";
+export { drawDateMs } from "./dates.js";
+
+export const STRATEGIES = [
+  "balanced",
+  "hot",
+  "recent-hot",
+  "cold-recently",
+  "cold",
+  "even-spread",
+  "overdue",
+  "hot-pairs",
+  "cold-pairs",
+  "unpopular",
+];
+
+// Pair strategies build each line number by number, favoring numbers that were
+// often (hot) or rarely (cold) drawn alongside the ones already in the line.
+// The first number and the Powerball fall back to the listed strategy.
+const PAIR_STRATEGIES = {
+  "hot-pairs": { mode: "hot", fallback: "hot" },
+  "cold-pairs": { mode: "cold", fallback: "cold" },
+};
+
+export function isPairStrategy(strategy) {
+  return typeof strategy === "string" && strategy in PAIR_STRATEGIES;
+}
+
+export function clampInt(value, min, max) {
+  const n = Number.parseInt(value, 10);
+  if (Number.isNaN(n)) return min;
+  return Math.max(min, Math.min(max, n));
+}
+
+export function clampNumber(value, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return min;
+  return Math.max(min, Math.min(max, n));
+}
+
+export function whiteKey(main) {
+  return [...main].sort((a, b) => a - b).join("-");
+}
+
+export function lineKey(main, powerball) {
+  return `${whiteKey(main)}+${powerball}`;
+}
+
+// `history` (see eras.js) limits which draws feed the frequency, pair and gap
+// stats. Past-winner rejection always uses every draw. `recency` (see
+// recency.js) picks the window for the recent frequencies. Triplet counts are
+// only for display, so bulk callers (the backtester) can skip them.
+export function analyzeDraws(
+  draws,
+  { history, recency, triplets = true } = {}
+) {
+  const mainFreq = {};
+  const pbFreq = {};
+  const mainRecentFreq = {};
+  const pbRecentFreq = {};
+  const all = Array.isArray(draws) ? draws : [];
+  const list = filterDrawsByHistory(all, history);
+
+  const sortedDraws = [...list].sort(
+    (a, b) => (drawDateMs(b) ?? 0) - (drawDateMs(a) ?? 0) // Most recent first
+  );
+  const recentDraws = recentWindow(sortedDraws, recency);
+
+  // Every historical combination, for rejecting lines that already hit.
+  const drawnLines = new Set();
+  const drawnWhites = new Set();
+  all.forEach((draw) => {
+    drawnWhites.add(whiteKey(draw.main));
+    if (Number.isFinite(draw.powerball)) {
+      drawnLines.add(lineKey(draw.main, draw.powerball));
+    }
+  });
+
+  // Calculate overall frequency from the selected draws
+  list.forEach((draw) => {
+    draw.main.forEach((n) => {
+      mainFreq[n] = (mainFreq[n] || 0) + 1;
+    });
+
+    const pb = draw.powerball;
+    if (Number.isFinite(pb)) {
+      pbFreq[pb] = (pbFreq[pb] || 0) + 1;
+    }
+  });
+
+  // Calculate recent frequency from the recent window
+  recentDraws.forEach((draw) => {
+    draw.main.forEach((n) => {
+      mainRecentFreq[n] = (mainRecentFreq[n] || 0) + 1;
+    });
+
+    const pb = draw.powerball;
+    if (Number.isFinite(pb)) {
+      pbRecentFreq[pb] = (pbRecentFreq[pb] || 0) + 1;
+    }
+  });
+
+  return {
+    mainFreq,
+    pbFreq,
+    mainRecentFreq,
+    pbRecentFreq,
+    // comboKey -> draws containing both/all three numbers.
+    pairFreq: countCombos(list, 2),
+    tripletFreq: triplets ? countCombos(list, 3) : new Map(),
+    mainGaps: computeGaps(sortedDraws, (d) => d.main, MAIN_MAX),
+    pbGaps: computeGaps(sortedDraws, (d) => [d.powerball], PB_MAX),
+    drawCount: list.length,
+    recentDrawCount: recentDraws.length,
+    drawnLines,
+    drawnWhites,
+  };
+}
+
+// `source` holds one ball type's stats: { freq, recentFreq, gaps }.
+function strategyWeights(source, requested, maxNumber) {
+  const { freq, recentFreq, gaps } = source;
+  const weights = new Map();
+  const strategy = PAIR_STRATEGIES[requested]?.fallback ?? requested;
+
+  if (strategy === "hot") {
+    // Favor most frequent numbers overall
+    const maxFreq = Math.max(...Object.values(freq), 1);
+    for (let n = 1; n <= maxNumber; n++) {
+      const f = freq[n] || 0;
+      weights.set(n, (f / maxFreq) * 10 + 1);
+    }
+  } else if (strategy === "recent-hot") {
+    // Favor numbers that appeared recently
+    const maxRecent = Math.max(...Object.values(recentFreq), 1);
+    for (let n = 1; n <= maxNumber; n++) {
+      const recent = recentFreq[n] || 0;
+      const total = freq[n] || 0;
+      weights.set(n, (recent / Math.max(maxRecent, 1)) * 10 + total * 0.5 + 1);
+    }
+  } else if (strategy === "cold-recently") {
+    // Favor numbers that appeared least often in the recent window
+    const maxRecent = Math.max(...Object.values(recentFreq), 1);
+    for (let n = 1; n <= maxNumber; n++) {
+      const recent = recentFreq[n] || 0;
+      // Invert recent frequency: less recent = higher weight
+      weights.set(n, ((maxRecent - recent) / Math.max(maxRecent, 1)) * 10 + 1);
+    }
+  } else if (strategy === "cold") {
+    // Favor numbers that haven't appeared in a while
+    const maxFreq = Math.max(...Object.values(freq), 1);
+    for (let n = 1; n <= maxNumber; n++) {
+      const f = freq[n] || 0;
+      // Invert: less frequent = higher weight
+      weights.set(n, ((maxFreq - f) / maxFreq) * 10 + 1);
+    }
+  } else if (strategy === "overdue") {
+    // Favor numbers whose current gap runs furthest past their average gap
+    const ratios = new Map();
+    for (let n = 1; n <= maxNumber; n++) ratios.set(n, overdueRatio(gaps?.[n]));
+    const maxRatio = Math.max(...ratios.values(), 1);
+    for (let n = 1; n <= maxNumber; n++) {
+      weights.set(n, (ratios.get(n) / maxRatio) * 10 + 1);
+    }
+  } else if (strategy === "unpopular") {
+    // Steer away from birthday numbers other players crowd into
+    for (let n = 1; n <= maxNumber; n++) weights.set(n, unpopularWeight(n));
+  } else if (strategy === "even-spread") {
+    // Favor numbers spread across the range (avoid clustering)
+    for (let n = 1; n <= maxNumber; n++) {
+      // Slight preference for numbers in different ranges
+      const rangePos = n / maxNumber;
+      const f = freq[n] || 0;
+      // Combine range position with frequency, but reduce frequency weight
+      weights.set(n, (1 + Math.abs(rangePos - 0.5)) * 2 + f * 0.3 + 1);
+    }
+  } else {
+    // "balanced" - default historical frequency
+    for (let n = 1; n <= maxNumber; n++) {
+      weights.set(n, (freq[n] || 0) + 1);
+    }
+  }
+
+  return weights;
+}
+
+// A custom strategy is a blend: { hot: 40, "cold-recently": 30, uniform: 30 }.
+// Each component is scaled to sum to 1 before mixing, so a 40% share means 40%
+// of the probability mass no matter how steep that strategy's raw weights are.
+export function isBlend(strategy) {
+  return strategy != null && typeof strategy === "object";
+}
+
+function blendWeights(source, blend, maxNumber) {
+  const weights = new Map();
+  for (let n = 1; n <= maxNumber; n++) weights.set(n, 0);
+
+  const entries = Object.entries(blend).filter(([, share]) => share > 0);
+  const totalShare = entries.reduce((acc, [, share]) => acc + share, 0);
+  if (totalShare <= 0) return strategyWeights(source, null, maxNumber);
+
+  for (const [component, share] of entries) {
+    const part =
+      component === "uniform"
+        ? null
+        : strategyWeights(source, component, maxNumber);
+    let partSum = 0;
+    if (part) for (const w of part.values()) partSum += w;
+    for (let n = 1; n <= maxNumber; n++) {
+      const p = part ? part.get(n) / partSum : 1 / maxNumber;
+      weights.set(n, weights.get(n) + (share / totalShare) * p);
+    }
+  }
+
+  return weights;
+}
+
+function baseWeights(source, strategy, maxNumber) {
+  return isBlend(strategy)
+    ? blendWeights(source, strategy, maxNumber)
+    : strategyWeights(source, strategy, maxNumber);
+}
+
+export function mainBaseWeights(analysis, strategy) {
+  return baseWeights(
+    {
+      freq: analysis.mainFreq,
+      recentFreq: analysis.mainRecentFreq,
+      gaps: analysis.mainGaps,
+    },
+    strategy,
+    MAIN_MAX
+  );
+}
+
+export function pbBaseWeights(analysis, strategy) {
+  return baseWeights(
+    {
+      freq: analysis.pbFreq,
+      recentFreq: analysis.pbRecentFreq,
+      gaps: analysis.pbGaps,
+    },
+    strategy,
+    PB_MAX
+  );
+}
+
+// `adjust(n)` optionally scales each number's final probability (used by
+// coverage mode); the result is renormalized so it only shifts preference.
+export function pickOneBlended(availableNums, baseWeights, alpha, rng, adjust) {
+  // alpha: 0 -> fully weighted; 1 -> fully uniform
+  const a = clampNumber(alpha, 0, 1);
+  const uniformP = 1 / availableNums.length;
+
+  let sumW = 0;
+  for (const n of availableNums) sumW += baseWeights.get(n) || 0;
+  if (sumW <= 0) sumW = availableNums.length;
+
+  let r = rng();
+  let cumulative = 0;
+
+  if (adjust) {
+    const scaled = availableNums.map((n) => {
+      const weightedP = (baseWeights.get(n) || 1) / sumW;
+      return ((1 - a) * weightedP + a * uniformP) * adjust(n);
+    });
+    const total = scaled.reduce((acc, p) => acc + p, 0);
+    // Nothing left to weigh by: draw uniformly rather than always the first.
+    if (!(total > 0) || !Number.isFinite(total)) {
+      return availableNums[Math.floor(r * availableNums.length)];
+    }
+    r *= total;
+    for (let i = 0; i < availableNums.length; i++) {
+      cumulative += scaled[i];
+      if (r <= cumulative) return availableNums[i];
+    }
+    return availableNums[availableNums.length - 1];
+  }
+
+  for (const n of availableNums) {
+    const w = baseWeights.get(n) || 1;
+    const weightedP = w / sumW;
+    const p = (1 - a) * weightedP + a * uniformP;
+    cumulative += p;
+
+    if (r <= cumulative) return n;
+  }
+
+  return availableNums[availableNums.length - 1];
+}
+
+// Weights for the next main number given the numbers already in the line,
+// scaled like the other strategies (1 to 11).
+function pairWeights(availableNums, partial, pairFreq, mode) {
+  const scores = new Map();
+  for (const n of availableNums) {
+    let score = 0;
+    for (const m of partial) score += pairCount(pairFreq, n, m);
+    scores.set(n, score);
+  }
+  const maxScore = Math.max(...scores.values(), 1);
+
+  const weights = new Map();
+  for (const [n, score] of scores) {
+    const share = mode === "hot" ? score / maxScore : 1 - score / maxScore;
+    weights.set(n, share * 10 + 1);
+  }
+  return weights;
+}
+
+function range(max) {
+  return Array.from({ length: max }, (_, i) => i + 1);
+}
+
+// How many times we'll resample a single line before giving up on it. Keeps
+// impossible settings (e.g. 5 locked mains that were already drawn) from hanging.
+export const MAX_ATTEMPTS_PER_LINE = 500;
+
+function sampleLine(ctx) {
+  const {
+    rng,
+    alpha,
+    mainWeights,
+    pbWeights,
+    lockedMain,
+    excludedMain,
+    powerballCandidates,
+    powerballPool,
+    coverage,
+    pairMode,
+    stats,
+  } = ctx;
+  const pbAdjustFor = (candidates) => {
+    if (!coverage) return undefined;
+    const factors = coverage.pbFactors(candidates);
+    return (n) => factors.get(n);
+  };
+
+  // If the user provided PB-eligible locked numbers (1..26), pick the PB
+  // from that set (so it can vary across lines).
+  const lockedPowerballCandidate =
+    powerballCandidates.length > 0
+      ? pickOneBlended(
+          powerballCandidates,
+          pbWeights,
+          alpha,
+          rng,
+          pbAdjustFor(powerballCandidates)
+        )
+      : null;
+
+  const availableMain = range(MAIN_MAX).filter((n) => !excludedMain.has(n));
+
+  const main = [];
+  for (const forced of lockedMain) {
+    if (!main.includes(forced)) {
+      main.push(forced);
+      const idx = availableMain.indexOf(forced);
+      if (idx !== -1) availableMain.splice(idx, 1);
+    }
+  }
+
+  while (main.length < MAIN_COUNT) {
+    const mainFactors = coverage
+      ? coverage.mainFactors(availableMain, main)
+      : null;
+    const mainAdjust = mainFactors ? (n) => mainFactors.get(n) : undefined;
+    const weights =
+      pairMode && main.length > 0
+        ? pairWeights(availableMain, main, stats.pairFreq, pairMode)
+        : mainWeights;
+    const selected = pickOneBlended(
+      availableMain,
+      weights,
+      alpha,
+      rng,
+      mainAdjust
+    );
+    main.push(selected);
+    availableMain.splice(availableMain.indexOf(selected), 1);
+  }
+
+  const powerball =
+    lockedPowerballCandidate ??
+    pickOneBlended(
+      powerballPool,
+      pbWeights,
+      alpha,
+      rng,
+      pbAdjustFor(powerballPool)
+    );
+
+  return { main: main.sort((a, b) => a - b), powerball };
+}
+
+// Returns why a candidate line should be thrown away, or null to keep it.
+function rejectReason(line, ctx) {
+  const { stats, rejectDrawnWhites, rejectPatterns, constraints } = ctx;
+  if (stats.drawnLines?.has(lineKey(line.main, line.powerball))) {
+    return "jackpot";
+  }
+  if (rejectDrawnWhites && stats.drawnWhites?.has(whiteKey(line.main))) {
+    return "white";
+  }
+  if (constraintViolation(line.main, constraints)) return "constraints";
+  if (rejectPatterns && linePatternReason(line.main)) return "pattern";
+  return null;
+}
+
+/**
+ * Generate `count` lines.
+ *
+ * `strategy` is one of STRATEGIES or a blend object (see blendWeights above).
+ *
+ * Pass either `draws` (plus optional `history`/`recency`) or a precomputed
+ * `analysis` (from analyzeDraws). When `seed` is omitted a fresh one is chosen;
+ * it is always returned so the batch can be replayed later with identical
+ * output.
+ *
+ * Lines that repeat a past jackpot combination are always resampled; with
+ * `rejectDrawnWhites` any line whose 5 white balls were ever drawn is too.
+ * `rejected` counts the discarded candidates; `unresolved` counts lines that
+ * still matched after MAX_ATTEMPTS_PER_LINE tries and were kept anyway.
+ *
+ * `constraints` (see constraints.js) are enforced the same way; `rejectedBy`
+ * and `unresolvedBy` break both counts down by "jackpot", "white" and
+ * "constraints". If a line can't meet the constraints at all, generation stops
+ * and `tooStrict` is set (with only the lines made so far in `picks`).
+ *
+ * `mainExcluded` and `powerballExcluded` are never sampled (see
+ * exclusions.js for the checks to run first).
+ *
+ * The "unpopular" strategy also resamples patterned lines (runs, equal steps,
+ * one decade); those show up as "pattern" in `rejectedBy`/`unresolvedBy`.
+ *
+ * With `maximizeCoverage`, each line is steered away from the mains, pairs and
+ * Powerballs already used earlier in the batch.
+ *
+ * `onProgress(done, total)` is called after each line is kept.
+ */
+export function generatePicks({
+  draws,
+  analysis,
+  strategy = "balanced",
+  randomness = 70,
+  count = 5,
+  mainLocked = [],
+  powerballLocked = [],
+  mainExcluded = [],
+  powerballExcluded = [],
+  rejectDrawnWhites = false,
+  maximizeCoverage = false,
+  constraints = null,
+  history,
+  recency,
+  seed,
+  onProgress,
+} = {}) {
+  const resolvedSeed = normalizeSeed(seed) ?? randomSeed();
+  const stats = analysis ?? analyzeDraws(draws, { history, recency });
+  const pbExcluded = new Set(powerballExcluded || []);
+  const ctx = {
+    rng: createRng(resolvedSeed),
+    alpha: clampNumber(randomness, 0, 100) / 100,
+    stats,
+    mainWeights: mainBaseWeights(stats, strategy),
+    pbWeights: pbBaseWeights(stats, strategy),
+    pairMode: isPairStrategy(strategy) ? PAIR_STRATEGIES[strategy].mode : null,
+    lockedMain: (mainLocked || []).slice(0, MAIN_COUNT),
+    excludedMain: new Set(mainExcluded || []),
+    powerballCandidates: (powerballLocked || []).filter(
+      (n) => !pbExcluded.has(n)
+    ),
+    powerballPool: range(PB_MAX).filter((n) => !pbExcluded.has(n)),
+    rejectDrawnWhites: Boolean(rejectDrawnWhites),
+    rejectPatterns: strategy === "unpopular",
+    coverage: maximizeCoverage ? createCoverageTracker() : null,
+    constraints,
+  };
+
+  const safeCount = clampInt(count, 1, MAX_LINES);
+  const picks = [];
+  const rejectedBy = { jackpot: 0, white: 0, constraints: 0, pattern: 0 };
+  const unresolvedBy = { jackpot: 0, white: 0, constraints: 0, pattern: 0 };
+  let tooStrict = false;
+
+  for (let i = 0; i < safeCount; i++) {
+    let line = sampleLine(ctx);
+    let attempts = 1;
+    let reason = rejectReason(line, ctx);
+
+    while (reason) {
+      if (attempts >= MAX_ATTEMPTS_PER_LINE) {
+        unresolvedBy[reason]++;
+        break;
+      }
+      rejectedBy[reason]++;
+      line = sampleLine(ctx);
+      attempts++;
+      reason = rejectReason(line, ctx);
+    }
+
+    // Constraints nothing can satisfy would fail every remaining line the same
+    // way, so stop here and let the caller report it instead of grinding on.
+    if (reason === "constraints") {
+      tooStrict = true;
+      break;
+    }
+
+    ctx.coverage?.record(line);
+    picks.push(line);
+    onProgress?.(picks.length, safeCount);
+  }
+
+  const total = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+  return {
+    seed: resolvedSeed,
+    picks,
+    rejected: total(rejectedBy),
+    rejectedBy,
+    unresolved: total(unresolvedBy),
+    unresolvedBy,
+    tooStrict,
+  };
+}
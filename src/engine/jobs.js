@@ -0,0 +1,32 @@
+// The heavy work the UI hands off: analysis, batch generation and backtests.
+// engine.worker.js runs these off the main thread; src/engineClient.js falls
+// back to calling runJob directly where workers aren't available.
+
+import { runBacktest } from "./backtest.js";
+import { runBatch } from "./batch.js";
+import { analyzeDraws } from "./generator.js";
+import { drawsAsOf } from "./share.js";
+
+export const JOB_TYPES = ["analyze", "batch", "backtest"];
+
+export async function runJob(type, payload, { onProgress, signal } = {}) {
+  if (type === "analyze") {
+    const { draws, history, recency } = payload;
+    return analyzeDraws(draws, { history, recency });
+  }
+
+  if (type === "batch") {
+    const { batch, draws } = payload;
+    const analysis = analyzeDraws(drawsAsOf(draws, batch.asOf), {
+      history: batch.history,
+      recency: batch.recency,
+    });
+    return runBatch(batch, analysis, { onProgress });
+  }
+
+  if (type === "backtest") {
+    return runBacktest(payload, { onProgress, signal });
+  }
+
+  throw new Error(`Unknown job type: ${type}`);
+}
@@ -0,0 +1,84 @@
+// "Would this line ever have won?" Score one line against every draw we have.
+// Prizes use today's prize chart, including for draws from older game eras
+// (their payouts differed), which the result flags with the draw's era.
+
+import { POWER_PLAY_PRICE, TICKET_PRICE } from "./constants.js";
+import { drawDateMs, isoDay } from "./dates.js";
+import { CURRENT_ERA, drawEra } from "./eras.js";
+import { computePrize, scoreLine } from "./prizes.js";
+
+// Default start for the "played every draw since" total: the current game.
+export const DEFAULT_HISTORY_SINCE = CURRENT_ERA.start;
+
+// More white balls beats the Powerball, matching the prize chart's order.
+function matchRank(whiteMatches, pbMatch) {
+  return whiteMatches * 2 + (pbMatch ? 1 : 0);
+}
+
+/**
+ * Returns
+ *   best:    { whiteMatches, pbMatch, times, lastDate } — the closest any draw
+ *            came, how often that happened and when it last did;
+ *   wins:    every prize-winning draw, newest first: { date, era, tier, prize };
+ *   since:   totals for playing the line every draw from `since` (YYYY-MM-DD,
+ *            or everything when empty): { from, draws, cost, won, jackpots,
+ *            net }. Undated draws only count when `since` is empty.
+ * With `powerPlay`, prizes use each draw's multiplier and cost $1 more a draw.
+ */
+export function lineHistory(
+  line,
+  draws,
+  { since = "", powerPlay = false } = {}
+) {
+  const wins = [];
+  let best = null;
+  const totals = { draws: 0, cost: 0, won: 0, jackpots: 0 };
+  const linePrice = TICKET_PRICE + (powerPlay ? POWER_PLAY_PRICE : 0);
+
+  for (const draw of draws ?? []) {
+    if (!Array.isArray(draw?.main)) continue;
+    const date = isoDay(drawDateMs(draw));
+    const { whiteMatches, pbMatch, tier } = scoreLine(line, draw);
+    const prize = computePrize(
+      whiteMatches,
+      pbMatch,
+      powerPlay ? draw.multiplier ?? null : null
+    );
+    const amount = powerPlay ? prize.withPowerPlay ?? prize.base : prize.base;
+
+    const rank = matchRank(whiteMatches, pbMatch);
+    if (!best || rank > best.rank) {
+      best = { rank, whiteMatches, pbMatch, times: 0, lastDate: null };
+    }
+    if (rank === best.rank) {
+      best.times++;
+      if (date && (!best.lastDate || date > best.lastDate)) {
+        best.lastDate = date;
+      }
+    }
+
+    const won = amount === "JACKPOT" || amount > 0;
+    if (won) wins.push({ date, era: drawEra(draw), tier, prize: amount });
+
+    if (!since || (date && date >= since)) {
+      totals.draws++;
+      totals.cost += linePrice;
+      if (amount === "JACKPOT") totals.jackpots++;
+      else if (won) totals.won += amount;
+    }
+  }
+
+  wins.sort((a, b) => (b.date ?? "").localeCompare(a.date ?? ""));
+
+  return {
+    drawCount: draws?.length ?? 0,
+    best: best && {
+      whiteMatches: best.whiteMatches,
+      pbMatch: best.pbMatch,
+      times: best.times,
+      lastDate: best.lastDate,
+    },
+    wins,
+    since: { from: since || null, ...totals, net: totals.won - totals.cost },
+  };
+}
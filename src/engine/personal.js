@@ -0,0 +1,176 @@
+// Personal numbers: turn birthdays, anniversaries, names or any text into main
+// numbers and Powerball candidates. Every method is deterministic and returns
+// the steps it took, so the UI can show exactly where each number came from.
+
+import { MAIN_MAX, PB_MAX } from "./constants.js";
+
+export const PERSONAL_METHODS = [
+  {
+    id: "date-parts",
+    label: "Date parts",
+    description:
+      "Month, day and two-digit year become main numbers; day and month become Powerballs. Text entries are skipped.",
+  },
+  {
+    id: "digit-sum",
+    label: "Digit sums",
+    description:
+      "Adds up every digit of a date, or the letters of text (A=1 … Z=26), and wraps the total into range.",
+  },
+  {
+    id: "hash",
+    label: "Hashing",
+    description:
+      "Runs each entry through a fixed hash (FNV-1a) and maps it into range. Same text, same numbers.",
+  },
+];
+
+// Wrap any positive total into 1..max (70 -> 1 for mains, 27 -> 1 for PBs).
+export function foldInto(n, max) {
+  return ((Math.max(1, Math.trunc(n)) - 1) % max) + 1;
+}
+
+// Accepts 1985-07-14, 7/14/1985 and 7-14-85 style dates. Null if not a date.
+export function parseDateEntry(text) {
+  const value = String(text ?? "").trim();
+  let year;
+  let month;
+  let day;
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value);
+  if (m) {
+    [year, month, day] = [m[1], m[2], m[3]].map(Number);
+  } else {
+    m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(value);
+    if (!m) return null;
+    [month, day, year] = [m[1], m[2], m[3]].map(Number);
+    if (m[3].length === 2) year += year > 30 ? 1900 : 2000;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+function digitSum(text) {
+  return [...String(text)].reduce(
+    (acc, ch) => (/\d/.test(ch) ? acc + Number(ch) : acc),
+    0
+  );
+}
+
+function letterSum(text) {
+  let sum = 0;
+  for (const ch of String(text).toUpperCase()) {
+    if (ch >= "A" && ch <= "Z") sum += ch.charCodeAt(0) - 64;
+    else if (ch >= "0" && ch <= "9") sum += Number(ch);
+  }
+  return sum;
+}
+
+// 32-bit FNV-1a over UTF-16 code units; stable across browsers.
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function fromDateParts(entry) {
+  const date = parseDateEntry(entry);
+  if (!date) return { skipped: "not a date" };
+  const yy = date.year % 100;
+  const main = [
+    { n: date.month, how: `month ${date.month}` },
+    { n: date.day, how: `day ${date.day}` },
+  ];
+  // "00" has no number to give.
+  if (yy > 0) {
+    main.push({
+      n: foldInto(yy, MAIN_MAX),
+      how: yy > MAIN_MAX ? `year ${yy}, wrapped` : `year ${yy}`,
+    });
+  }
+  return {
+    main,
+    powerball: [
+      {
+        n: foldInto(date.day, PB_MAX),
+        how: date.day > PB_MAX ? `day ${date.day}, wrapped` : `day ${date.day}`,
+      },
+      { n: date.month, how: `month ${date.month}` },
+    ],
+  };
+}
+
+function fromDigitSum(entry) {
+  const date = parseDateEntry(entry);
+  const sum = date
+    ? digitSum(`${date.year}${date.month}${date.day}`)
+    : letterSum(entry);
+  if (sum === 0) return { skipped: "no letters or digits" };
+  const how = date ? `digit sum ${sum}` : `letter sum ${sum}`;
+  const wrap = (max) => (sum > max ? `${how}, wrapped` : how);
+  return {
+    main: [{ n: foldInto(sum, MAIN_MAX), how: wrap(MAIN_MAX) }],
+    powerball: [{ n: foldInto(sum, PB_MAX), how: wrap(PB_MAX) }],
+  };
+}
+
+function fromHash(entry) {
+  const normalized = entry.trim().toLowerCase();
+  const hash = fnv1a(normalized);
+  const hex = hash.toString(16).padStart(8, "0");
+  return {
+    main: [
+      { n: (hash % MAIN_MAX) + 1, how: `hash ${hex} mod ${MAIN_MAX} + 1` },
+    ],
+    powerball: [
+      { n: (hash % PB_MAX) + 1, how: `hash ${hex} mod ${PB_MAX} + 1` },
+    ],
+  };
+}
+
+const DERIVERS = {
+  "date-parts": fromDateParts,
+  "digit-sum": fromDigitSum,
+  hash: fromHash,
+};
+
+/**
+ * Derive numbers from a list of entries (one date or piece of text each).
+ * Returns `main` and `powerball` (unique, in the order they were found) plus
+ * `steps`, one per entry: { entry, main, powerball } or { entry, skipped }.
+ */
+export function derivePersonalNumbers(entries, method) {
+  const derive = DERIVERS[method] ?? DERIVERS.hash;
+  const main = [];
+  const powerball = [];
+  const steps = [];
+
+  for (const raw of entries ?? []) {
+    const entry = String(raw ?? "").trim();
+    if (!entry) continue;
+    const step = { entry, ...derive(entry) };
+    steps.push(step);
+    for (const { n } of step.main ?? []) if (!main.includes(n)) main.push(n);
+    for (const { n } of step.powerball ?? []) {
+      if (!powerball.includes(n)) powerball.push(n);
+    }
+  }
+
+  return { main, powerball, steps };
+}
+
+export function splitEntries(text) {
+  return String(text ?? "")
+    .split(/[\n;]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,62 @@
+// How likely other players are to have picked the same line. Lots of people
+// play birthdays (1–31, months 1–12) and simple shapes — runs, equal steps, a
+// single decade — so those lines are more likely to split a jackpot. The score
+// is a rough heuristic, not a measured ticket-sales figure.
+
+import { longestRun, maxDecadeCount } from "./constraints.js";
+import { MAIN_COUNT } from "./constants.js";
+
+export const CALENDAR_MAX = 31;
+export const MONTH_MAX = 12;
+
+// Base weight for the "unpopular" strategy: months lowest, other days of the
+// month next, everything above 31 highest.
+export function unpopularWeight(n) {
+  if (n <= MONTH_MAX) return 1;
+  if (n <= CALENDAR_MAX) return 2;
+  return 4;
+}
+
+function hasEqualSteps(sorted) {
+  const step = sorted[1] - sorted[0];
+  return sorted.every((n, i) => i === 0 || n - sorted[i - 1] === step);
+}
+
+// Which pattern a line's main numbers form ("run", "steps", "decade"), or null.
+export function linePatternReason(main) {
+  const sorted = [...main].sort((a, b) => a - b);
+  if (longestRun(sorted) >= 3) return "run";
+  if (sorted.length === MAIN_COUNT && hasEqualSteps(sorted)) return "steps";
+  if (maxDecadeCount(sorted) >= MAIN_COUNT) return "decade";
+  return null;
+}
+
+/**
+ * Estimated popularity of a line, 0 (few others likely to share it) to 100
+ * (very commonly played). Calendar numbers add the most; patterns add a flat
+ * amount on top.
+ */
+export function popularityScore(main, powerball) {
+  const sorted = [...main].sort((a, b) => a - b);
+  let score = 0;
+  for (const n of sorted) {
+    if (n <= MONTH_MAX) score += 12;
+    else if (n <= CALENDAR_MAX) score += 8;
+  }
+  if (powerball != null && powerball <= MONTH_MAX) score += 4;
+
+  const run = longestRun(sorted);
+  if (run >= 3) score += run * 5;
+  if (sorted.length === MAIN_COUNT && hasEqualSteps(sorted)) score += 20;
+  if (maxDecadeCount(sorted) >= MAIN_COUNT) score += 10;
+  if (sorted.every((n) => n % 5 === 0) || sorted.every((n) => n % 7 === 0)) {
+    score += 10;
+  }
+  return Math.min(100, score);
+}
+
+export function popularityLabel(score) {
+  if (score >= 60) return "High";
+  if (score >= 30) return "Medium";
+  return "Low";
+}
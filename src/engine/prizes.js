@@ -0,0 +1,114 @@
+// Prize tiers and payouts. Mirrors computePrize in the sync worker.
+
+// "<white matches>-<powerball matched>", best first.
+export const PRIZE_TIERS = [
+  "5-1",
+  "5-0",
+  "4-1",
+  "4-0",
+  "3-1",
+  "3-0",
+  "2-1",
+  "1-1",
+  "0-1",
+];
+
+export function tierKey(whiteMatches, pbMatch) {
+  return `${whiteMatches}-${pbMatch ? 1 : 0}`;
+}
+
+// "3-1" -> "3 + PB", "4-0" -> "4".
+export function tierLabel(tier) {
+  const [white, pb] = String(tier).split("-");
+  return pb === "1" ? `${white} + PB` : white;
+}
+
+// Odds (1 in N) of each tier for one line, from powerball.com.
+export const PRIZE_ODDS = {
+  "5-1": 292201338, // Jackpot
+  "5-0": 11688053.52,
+  "4-1": 913129.18,
+  "4-0": 36525.17,
+  "3-1": 14494.11,
+  "3-0": 579.76,
+  "2-1": 701.33,
+  "1-1": 91.98,
+  "0-1": 38.32,
+};
+
+export function getOdds(whiteMatches, pbMatch) {
+  return PRIZE_ODDS[tierKey(whiteMatches, pbMatch)] ?? null;
+}
+
+export function computePrize(whiteMatches, pbMatch, powerPlayMultiplier) {
+  // Hard-coded from https://www.powerball.com/powerball-prize-chart
+  // Power Play does not multiply the Jackpot. Match-5 (no PB) is always $2M with PP (regardless of multiplier).
+  const baseTable = {
+    "5-1": "JACKPOT",
+    "5-0": 1000000,
+    "4-1": 50000,
+    "4-0": 100,
+    "3-1": 100,
+    "3-0": 7,
+    "2-1": 7,
+    "1-1": 4,
+    "0-1": 4,
+  };
+
+  const key = tierKey(whiteMatches, pbMatch);
+  const base = baseTable[key] ?? 0;
+
+  if (powerPlayMultiplier == null) {
+    return { base, withPowerPlay: null };
+  }
+
+  const m = Number(powerPlayMultiplier);
+  const validM = Number.isFinite(m) && m >= 2 ? m : null;
+  if (!validM) return { base, withPowerPlay: null };
+
+  if (base === "JACKPOT") return { base, withPowerPlay: "JACKPOT" };
+  if (base === 0) return { base: 0, withPowerPlay: 0 };
+  if (key === "5-0") return { base, withPowerPlay: 2000000 };
+  return { base, withPowerPlay: base * validM };
+}
+
+// Double Play is a second drawing for the same lines, with its own fixed prize
+// chart: no jackpot, and Power Play doesn't apply.
+export const DOUBLE_PLAY_PRIZES = {
+  "5-1": 10000000,
+  "5-0": 500000,
+  "4-1": 50000,
+  "4-0": 500,
+  "3-1": 500,
+  "3-0": 20,
+  "2-1": 20,
+  "1-1": 10,
+  "0-1": 7,
+};
+
+export function computeDoublePlayPrize(whiteMatches, pbMatch) {
+  return DOUBLE_PLAY_PRIZES[tierKey(whiteMatches, pbMatch)] ?? 0;
+}
+
+// Adds up prize values; jackpots are counted rather than summed since their
+// cash value isn't known here.
+export function totalPrizes(prizes) {
+  let amount = 0;
+  let jackpots = 0;
+  for (const prize of prizes) {
+    if (prize === "JACKPOT") jackpots++;
+    else if (Number.isFinite(Number(prize))) amount += Number(prize);
+  }
+  return { amount, jackpots };
+}
+
+// How a line did against a draw.
+export function scoreLine(line, draw) {
+  const winning = new Set(draw.main);
+  const whiteMatches = line.main.reduce(
+    (acc, n) => acc + (winning.has(n) ? 1 : 0),
+    0
+  );
+  const pbMatch = line.powerball === draw.powerball;
+  return { whiteMatches, pbMatch, tier: tierKey(whiteMatches, pbMatch) };
+}
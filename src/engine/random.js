@@ -0,0 +1,46 @@
+// Small, dependency-free seeded PRNG so generated picks can be reproduced.
+// mulberry32 is plenty for picking lottery numbers and is tiny/fast.
+
+const UINT32 = 0x100000000;
+
+export function randomSeed() {
+  if (typeof crypto !== "undefined" && crypto?.getRandomValues) {
+    const buf = new Uint32Array(1);
+    crypto.getRandomValues(buf);
+    return buf[0];
+  }
+  return Math.floor(Math.random() * UINT32) >>> 0;
+}
+
+// Accepts a number or any string and returns an unsigned 32-bit seed.
+// Numeric strings map to their value so seeds survive a round trip through a URL.
+export function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) % UINT32 >>> 0;
+  }
+
+  const str = String(seed ?? "").trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str)) return Number(str) % UINT32 >>> 0;
+
+  // FNV-1a hash for arbitrary strings (e.g. "friday-pool").
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function createRng(seed) {
+  let state = normalizeSeed(seed) ?? randomSeed();
+
+  // Returns a float in [0, 1), same contract as Math.random().
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+}
@@ -0,0 +1,78 @@
+// The "recent" window behind recent-hot / cold-recently and the recent stats.
+// Encoded as a string so it can sit in state and share links:
+//   "36"        last 36 draws
+//   "90d"       draws in the 90 days up to the latest draw
+//   "from~to"   draws between two dates (YYYY-MM-DD, either side optional)
+// Day windows count back from the latest draw, not today, so a shared batch
+// rebuilds the same way later.
+
+import { drawDateMs, isoDay } from "./dates.js";
+import { historyRange } from "./eras.js";
+
+// Roughly 90 days: 3 draws/week * 12 weeks.
+export const DEFAULT_RECENCY = "36";
+export const MAX_RECENT_DRAWS = 1000;
+export const MAX_RECENT_DAYS = 3650;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns a valid window string, or null.
+export function normalizeRecency(value) {
+  const raw = String(value ?? "").trim();
+  const count = raw.match(/^(\d+)(d?)$/);
+  if (count) {
+    const n = Number.parseInt(count[1], 10);
+    const max = count[2] ? MAX_RECENT_DAYS : MAX_RECENT_DRAWS;
+    return n >= 1 && n <= max ? `${n}${count[2]}` : null;
+  }
+  const [from = "", to = "", extra] = raw.split("~");
+  if (extra !== undefined || !raw.includes("~")) return null;
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) return null;
+  if (from && to && from > to) return null;
+  return `${from}~${to}`;
+}
+
+export function recencyMode(recency) {
+  const r = String(recency ?? "");
+  if (r.includes("~")) return "range";
+  return r.endsWith("d") ? "days" : "draws";
+}
+
+// `sortedDraws` must be most recent first.
+export function recentDraws(sortedDraws, recency) {
+  const r = normalizeRecency(recency) ?? DEFAULT_RECENCY;
+  const mode = recencyMode(r);
+
+  if (mode === "draws") return sortedDraws.slice(0, Number.parseInt(r, 10));
+
+  if (mode === "days") {
+    const latest = sortedDraws.map(drawDateMs).find((ms) => ms != null);
+    if (latest == null) return sortedDraws;
+    const cutoff = latest - Number.parseInt(r, 10) * DAY_MS;
+    return sortedDraws.filter((d) => {
+      const ms = drawDateMs(d);
+      return ms == null || ms > cutoff;
+    });
+  }
+
+  const { from, to } = historyRange(r);
+  return sortedDraws.filter((d) => {
+    const day = isoDay(drawDateMs(d));
+    if (!day) return true;
+    return (!from || day >= from) && (!to || day <= to);
+  });
+}
+
+export function describeRecency(recency) {
+  const r = normalizeRecency(recency) ?? DEFAULT_RECENCY;
+  const mode = recencyMode(r);
+  const n = Number.parseInt(r, 10);
+  if (mode === "draws") return n === 1 ? "last draw" : `last ${n} draws`;
+  if (mode === "days") return n === 1 ? "last day" : `last ${n} days`;
+  const { from, to } = historyRange(r);
+  if (from && to) return `${from} to ${to}`;
+  if (from) return `since ${from}`;
+  if (to) return `through ${to}`;
+  return "all draws";
+}
@@ -0,0 +1,206 @@
+// Encode/decode a generated batch as URL query params so a set of lines can be
+// shared and replayed exactly. Everything the generator needs is in the link,
+// including the last draw date the weights were computed from (`asof`), so new
+// draws landing later don't change what the link rebuilds.
+
+import {
+  MAIN_COUNT,
+  MAIN_MAX,
+  MAX_LINES,
+  PB_MAX,
+  STRATEGIES,
+  clampInt,
+  drawDateMs,
+  isBlend,
+} from "./generator.js";
+import { encodeBlend, parseBlend } from "./blend.js";
+import {
+  MAX_SUM,
+  MIN_SUM,
+  hasConstraints,
+  validateConstraints,
+} from "./constraints.js";
+import { normalizeHistory } from "./eras.js";
+import { normalizeSeed } from "./random.js";
+import { DEFAULT_RECENCY, normalizeRecency } from "./recency.js";
+import { validateWheel } from "./wheel.js";
+
+export const SHARE_PARAMS = [
+  "seed",
+  "strategy",
+  "mix",
+  "rand",
+  "n",
+  "main",
+  "pb",
+  "xm",
+  "xp",
+  "rw",
+  "cov",
+  "sum",
+  "odd",
+  "hi",
+  "run",
+  "dec",
+  "ld",
+  "hist",
+  "win",
+  "wheel",
+  "wg",
+  "asof",
+];
+
+// Pattern constraints: URL param -> constraint field and allowed range.
+const CONSTRAINT_PARAMS = [
+  ["odd", "oddCount", 0, MAIN_COUNT],
+  ["hi", "highCount", 0, MAIN_COUNT],
+  ["run", "maxRun", 1, MAIN_COUNT],
+  ["dec", "maxPerDecade", 1, MAIN_COUNT],
+  ["ld", "minLastDigits", 1, MAIN_COUNT],
+];
+
+function parseNumberList(value, max) {
+  const seen = new Set();
+  for (const part of String(value ?? "").split(/[^\d]+/)) {
+    if (!part) continue;
+    const n = Number.parseInt(part, 10);
+    if (Number.isFinite(n) && n >= 1 && n <= max) seen.add(n);
+  }
+  return [...seen].sort((a, b) => a - b);
+}
+
+export function latestDrawDate(draws) {
+  let best = null;
+  for (const d of Array.isArray(draws) ? draws : []) {
+    const ms = drawDateMs(d);
+    if (ms != null && (best == null || ms > best)) best = ms;
+  }
+  return best == null ? null : new Date(best).toISOString().slice(0, 10);
+}
+
+export function drawsAsOf(draws, asOf) {
+  const list = Array.isArray(draws) ? draws : [];
+  if (!asOf) return list;
+  const cutoff = Date.parse(`${asOf}T23:59:59.999Z`);
+  if (!Number.isFinite(cutoff)) return list;
+  return list.filter((d) => {
+    const ms = drawDateMs(d);
+    return ms == null || ms <= cutoff;
+  });
+}
+
+export function encodeBatchParams(batch, base) {
+  const params = new URLSearchParams(base);
+  for (const key of SHARE_PARAMS) params.delete(key);
+
+  params.set("seed", String(batch.seed));
+  if (isBlend(batch.strategy)) {
+    params.set("strategy", "custom");
+    params.set("mix", encodeBlend(batch.strategy));
+  } else {
+    params.set("strategy", batch.strategy);
+  }
+  params.set("rand", String(batch.randomness));
+  params.set("n", String(batch.count));
+  if (batch.mainLocked?.length) params.set("main", batch.mainLocked.join(","));
+  if (batch.powerballLocked?.length) {
+    params.set("pb", batch.powerballLocked.join(","));
+  }
+  if (batch.mainExcluded?.length) {
+    params.set("xm", batch.mainExcluded.join(","));
+  }
+  if (batch.powerballExcluded?.length) {
+    params.set("xp", batch.powerballExcluded.join(","));
+  }
+  if (batch.rejectDrawnWhites) params.set("rw", "1");
+  if (batch.maximizeCoverage) params.set("cov", "1");
+  const c = batch.constraints;
+  if (hasConstraints(c)) {
+    if (c.sumMin != null || c.sumMax != null) {
+      params.set("sum", `${c.sumMin ?? ""}-${c.sumMax ?? ""}`);
+    }
+    for (const [param, key] of CONSTRAINT_PARAMS) {
+      if (c[key] != null) params.set(param, String(c[key]));
+    }
+  }
+  if (batch.history) params.set("hist", batch.history);
+  if (batch.recency) params.set("win", batch.recency);
+  if (batch.wheel) {
+    params.set("wheel", batch.wheel.pool.join(","));
+    params.set(
+      "wg",
+      batch.wheel.full ? "full" : `${batch.wheel.match}-${batch.wheel.ifDrawn}`
+    );
+  }
+  if (batch.asOf) params.set("asof", batch.asOf);
+
+  return params;
+}
+
+// Returns null when the params don't describe a batch (no seed).
+export function decodeBatchParams(search) {
+  const params = new URLSearchParams(search);
+  const seed = normalizeSeed(params.get("seed"));
+  if (seed == null) return null;
+
+  const strategy = params.get("strategy");
+  const asOf = params.get("asof");
+
+  let wheel = null;
+  if (params.has("wheel")) {
+    const pool = parseNumberList(params.get("wheel"), MAIN_MAX);
+    const [match, ifDrawn] = String(params.get("wg") ?? "")
+      .split("-")
+      .map(Number);
+    const spec =
+      params.get("wg") === "full"
+        ? { pool, full: true }
+        : { pool, full: false, match, ifDrawn };
+    if (!validateWheel(spec)) wheel = spec;
+  }
+
+  const constraints = {};
+  if (params.has("sum")) {
+    const [min, max] = String(params.get("sum")).split("-");
+    constraints.sumMin = min ? clampInt(min, MIN_SUM, MAX_SUM) : null;
+    constraints.sumMax = max ? clampInt(max, MIN_SUM, MAX_SUM) : null;
+  }
+  for (const [param, key, min, max] of CONSTRAINT_PARAMS) {
+    if (params.has(param)) {
+      constraints[key] = clampInt(params.get(param), min, max);
+    }
+  }
+
+  const mainLocked = parseNumberList(params.get("main"), MAIN_MAX).slice(
+    0,
+    MAIN_COUNT
+  );
+
+  return {
+    seed,
+    strategy:
+      strategy === "custom"
+        ? parseBlend(params.get("mix")) ?? "balanced"
+        : STRATEGIES.includes(strategy)
+        ? strategy
+        : "balanced",
+    randomness: clampInt(params.get("rand") ?? 70, 0, 100),
+    count: clampInt(params.get("n") ?? 5, 1, MAX_LINES),
+    mainLocked,
+    powerballLocked: parseNumberList(params.get("pb"), PB_MAX),
+    mainExcluded: parseNumberList(params.get("xm"), MAIN_MAX),
+    powerballExcluded: parseNumberList(params.get("xp"), PB_MAX),
+    rejectDrawnWhites: params.get("rw") === "1",
+    maximizeCoverage: params.get("cov") === "1",
+    constraints:
+      hasConstraints(constraints) &&
+      !validateConstraints(constraints, mainLocked)
+        ? constraints
+        : null,
+    asOf: asOf && /^\d{4}-\d{2}-\d{2}$/.test(asOf) ? asOf : null,
+    // Links made before the history setting existed analyzed every draw.
+    history: normalizeHistory(params.get("hist")) ?? "all",
+    recency: normalizeRecency(params.get("win")) ?? DEFAULT_RECENCY,
+    wheel,
+  };
+}
@@ -0,0 +1,500 @@
+// Import played lines from files or pasted text: CSV, JSON, plain text and the
+// purchase-confirmation emails state lottery apps send. Every input becomes a
+// list of rows, one per line found, each either valid ({ ok: true, main,
+// powerball, drawDates, powerPlay, doublePlay }) or carrying an `error` for the preview.
+
+import { MAIN_COUNT, MAIN_MAX, PB_MAX } from "./constants.js";
+import {
+  MAX_TICKET_DRAWS,
+  drawDatesBetween,
+  drawDatesFrom,
+  isDrawDay,
+} from "./tickets.js";
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Validate 6 numbers (5 mains then the Powerball). Same rules the Number
+ * Checker has always used; returns { ok, main, powerball } or { ok, error }.
+ */
+export function validateLineNumbers(nums) {
+  if (nums.length !== MAIN_COUNT + 1) {
+    return { ok: false, error: "Expected 6 numbers (5 + Powerball)." };
+  }
+  if (nums.some((n) => !Number.isFinite(n))) {
+    return { ok: false, error: "All entries must be numbers." };
+  }
+  const main = nums.slice(0, MAIN_COUNT);
+  const powerball = nums[MAIN_COUNT];
+  if (main.some((n) => n < 1 || n > MAIN_MAX)) {
+    return { ok: false, error: `Main numbers must be 1–${MAIN_MAX}.` };
+  }
+  if (powerball < 1 || powerball > PB_MAX) {
+    return { ok: false, error: `Powerball must be 1–${PB_MAX}.` };
+  }
+  if (new Set(main).size !== main.length) {
+    return { ok: false, error: "Main numbers must be unique." };
+  }
+  return { ok: true, main: [...main].sort((a, b) => a - b), powerball };
+}
+
+// One loose line: any non-digit separators ("4 15 22 11 21 10", "4-15-…").
+export function parseLooseLine(text) {
+  const trimmed = String(text ?? "").trim();
+  if (!trimmed) return { ok: false, error: "Empty line" };
+  const parts = trimmed.match(/\d+/g) ?? [];
+  return validateLineNumbers(parts.map((p) => Number.parseInt(p, 10)));
+}
+
+function isoFromParts(year, month, day) {
+  if (year < 100) year += year > 30 ? 1900 : 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+const DATE_PATTERNS = [
+  // 2025-10-15
+  [
+    /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+    (m) => isoFromParts(+m[1], +m[2], +m[3]),
+  ],
+  // 10/15/2025, 10/15/25
+  [
+    /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g,
+    (m) => isoFromParts(+m[3], +m[1], +m[2]),
+  ],
+  // Oct 15, 2025 / October 15 2025 (with an optional weekday before it)
+  [
+    /\b([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/gi,
+    (m) => {
+      const month = MONTHS.indexOf(m[1].toLowerCase()) + 1;
+      return month > 0 ? isoFromParts(+m[3], month, +m[2]) : null;
+    },
+  ],
+  // 15 Oct 2025
+  [
+    /\b(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})\b/gi,
+    (m) => {
+      const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+      return month > 0 ? isoFromParts(+m[3], month, +m[1]) : null;
+    },
+  ],
+];
+
+// Every date in a piece of text, in order, as YYYY-MM-DD.
+export function findDates(text) {
+  const found = [];
+  for (const [re, toIso] of DATE_PATTERNS) {
+    for (const m of String(text).matchAll(re)) {
+      const iso = toIso(m);
+      if (iso) found.push({ index: m.index, iso, length: m[0].length });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// The dates in a cell or line, and whether they're written as a range
+// ("10/13/2025 - 10/20/2025", "Oct 13, 2025 through Oct 20, 2025").
+function readDates(text) {
+  const hits = findDates(text);
+  const gap =
+    hits.length === 2
+      ? String(text).slice(hits[0].index + hits[0].length, hits[1].index)
+      : "";
+  return {
+    dates: hits.map((hit) => hit.iso),
+    range: /^\s*(?:-|–|to|thru|through|until)\s*$/i.test(gap),
+  };
+}
+
+function stripDates(text) {
+  let out = String(text);
+  for (const hit of findDates(text).reverse()) {
+    out = `${out.slice(0, hit.index)} ${out.slice(hit.index + hit.length)}`;
+  }
+  return out;
+}
+
+function parseYesNo(value) {
+  const v = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (/^(y|yes|true|1|on|pp|dp|x)$/.test(v)) return true;
+  if (/^(n|no|false|0|off|)$/.test(v)) return false;
+  return null;
+}
+
+/**
+ * Turn a parsed line plus its ticket details into a preview row. `dates` are
+ * the exact draw dates, unless `range` is set (first and last date of a run of
+ * draws) or `drawCount` is (a multi-draw starting on the first date).
+ */
+function finishRow(raw, result, details = {}) {
+  if (!result.ok) return { raw, ok: false, error: result.error };
+  const {
+    dates = [],
+    range = false,
+    drawCount = null,
+    powerPlay,
+    doublePlay,
+  } = details;
+  if (drawCount != null && (drawCount < 1 || drawCount > MAX_TICKET_DRAWS)) {
+    return {
+      raw,
+      ok: false,
+      error: `Draw count must be 1–${MAX_TICKET_DRAWS}.`,
+    };
+  }
+
+  let drawDates = dates;
+  if (dates.length > 0 && drawCount != null) {
+    drawDates = drawDatesFrom(dates[0], drawCount);
+  } else if (range && dates.length >= 2) {
+    drawDates = drawDatesBetween(dates[0], dates[dates.length - 1]);
+  } else {
+    const notDrawDay = dates.find((d) => !isDrawDay(d));
+    if (notDrawDay) {
+      return {
+        raw,
+        ok: false,
+        error: `${notDrawDay} isn't a Powerball draw day (Mon, Wed, Sat).`,
+      };
+    }
+  }
+  if (drawDates.length > MAX_TICKET_DRAWS) {
+    return {
+      raw,
+      ok: false,
+      error: `More than ${MAX_TICKET_DRAWS} draws on one ticket.`,
+    };
+  }
+
+  return {
+    raw,
+    ok: true,
+    main: result.main,
+    powerball: result.powerball,
+    drawDates: [...new Set(drawDates)].sort(),
+    powerPlay: Boolean(powerPlay),
+    doublePlay: Boolean(doublePlay),
+  };
+}
+
+function jsonRows(data) {
+  const rows = [];
+  const addLine = (item, meta) => {
+    const raw = JSON.stringify(item);
+    const nums = Array.isArray(item)
+      ? item.map(Number)
+      : Array.isArray(item?.main)
+      ? [...item.main.map(Number), Number(item.powerball)]
+      : null;
+    if (!nums) {
+      rows.push({ raw, ok: false, error: "Not a line of numbers." });
+      return;
+    }
+    const dates = [
+      // A single date may come as a plain string rather than a list.
+      ...[].concat(item?.drawDates ?? meta.drawDates ?? []),
+      ...(item?.drawDate ? [item.drawDate] : []),
+    ].flatMap((d) => findDates(d).map((hit) => hit.iso));
+    rows.push(
+      finishRow(raw, validateLineNumbers(nums), {
+        dates,
+        powerPlay: item?.powerPlay ?? meta.powerPlay,
+        doublePlay: item?.doublePlay ?? meta.doublePlay,
+      })
+    );
+  };
+
+  const list = Array.isArray(data)
+    ? data
+    : data?.tickets ?? data?.lines ?? data?.picks ?? null;
+  if (!Array.isArray(list)) {
+    return [
+      { raw: "(file)", ok: false, error: "No list of lines found in JSON." },
+    ];
+  }
+  // Top-level settings (e.g. an exported batch) apply to every line.
+  const fileMeta = Array.isArray(data)
+    ? {}
+    : {
+        drawDates: data.drawDates,
+        powerPlay: data.powerPlay,
+        doublePlay: data.doublePlay,
+      };
+  for (const item of list) {
+    if (Array.isArray(item?.lines)) {
+      // A saved ticket: its own dates and Power Play flag.
+      for (const line of item.lines) addLine(line, item);
+    } else {
+      addLine(item, fileMeta);
+    }
+  }
+  return rows;
+}
+
+export function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === "," || ch === ";" || ch === "\t") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Header name -> role. Numbered white-ball columns keep their order.
+function columnRole(name) {
+  const h = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  if (/^(pb|powerball|power ball|red ball|red)$/.test(h)) return "pb";
+  if (/power ?play|^pp$/.test(h)) return "pp";
+  if (/double ?play|^dp$/.test(h)) return "dp";
+  if (/draws|multi/.test(h)) return "draws";
+  if (/date/.test(h)) return "date";
+  if (/^(n|num|number|white|white ball|ball|wb|main) ?\d$/.test(h)) {
+    return "white";
+  }
+  if (/numbers|white balls|main|picks?/.test(h)) return "numbers";
+  return null;
+}
+
+function csvRows(lines) {
+  const cells = lines.map(splitCsvLine);
+  const header = cells[0] ?? [];
+  const hasHeader = header.some(
+    (c) => /[a-z]{2,}/i.test(c) && !findDates(c).length
+  );
+  if (!hasHeader) {
+    return lines.map((raw, i) => {
+      const row = cells[i];
+      const dates = row.flatMap((c) => findDates(c).map((hit) => hit.iso));
+      const nums = row
+        .filter((c) => findDates(c).length === 0)
+        .flatMap((c) => c.match(/\d+/g) ?? [])
+        .map(Number);
+      return finishRow(raw, validateLineNumbers(nums), { dates });
+    });
+  }
+
+  const roles = header.map(columnRole);
+  return lines.slice(1).map((raw, i) => {
+    const row = cells[i + 1];
+    const nums = [];
+    let pb = null;
+    let dates = [];
+    let range = false;
+    let drawCount = null;
+    let powerPlay = false;
+    let doublePlay = false;
+    row.forEach((cell, c) => {
+      const role = roles[c];
+      if (role === "white" || role === "numbers") {
+        nums.push(...(cell.match(/\d+/g) ?? []).map(Number));
+      } else if (role === "pb") {
+        pb = Number.parseInt(cell, 10);
+      } else if (role === "date" && cell) {
+        ({ dates, range } = readDates(cell));
+      } else if (role === "draws" && cell) {
+        drawCount = Number.parseInt(cell, 10);
+      } else if (role === "pp") {
+        powerPlay = parseYesNo(cell) ?? false;
+      } else if (role === "dp") {
+        doublePlay = parseYesNo(cell) ?? false;
+      }
+    });
+    if (pb != null) nums.push(pb);
+    return finishRow(raw, validateLineNumbers(nums), {
+      dates,
+      range,
+      drawCount: Number.isFinite(drawCount) ? drawCount : null,
+      powerPlay,
+      doublePlay,
+    });
+  });
+}
+
+// "A:", "A.", "1)", "Line 2:", "Play 3 -" and similar play labels.
+const PLAY_LABEL =
+  /^\s*(?:(?:line|play|board|panel)\s*)?(?:[a-j]|\d{1,2})\s*[:.)-]\s+/i;
+// Leftover words a play line may carry ("QP", "Powerball", "PB", "Quick Pick").
+const PLAY_WORDS =
+  /\b(?:pb|powerball|power ball|qp|quick ?pick|easy ?pick|ep)\b:?/gi;
+
+function countNumbers(text) {
+  return (text.match(/\d+/g) ?? []).length;
+}
+
+// Drops a leading play label. A bare number ("1)") only counts as one when a
+// full play still follows it: in "04 - 15 - 22 - 33 - 45 - 10" it's a ball.
+function stripPlayLabel(text) {
+  const match = PLAY_LABEL.exec(text);
+  if (!match) return text;
+  const rest = text.slice(match[0].length);
+  if (/[a-z]/i.test(match[0])) return rest;
+  return countNumbers(rest) >= MAIN_COUNT + 1 ? rest : text;
+}
+
+function isPlayLine(text) {
+  const body = stripPlayLabel(text).replace(PLAY_WORDS, " ");
+  // Only digits and separators left, and enough numbers to be a play.
+  return (
+    /^[\d\s,\-+|/•·]+$/.test(body.trim()) && countNumbers(body) >= MAIN_COUNT
+  );
+}
+
+// Settings an email states once for the whole ticket.
+function readMeta(text, meta) {
+  const lower = text.toLowerCase();
+  let found = false;
+  const pp = /power\s*play\s*[:=-]?\s*(yes|no|y|n|on|off|true|false)?/i.exec(
+    text
+  );
+  if (pp) {
+    meta.powerPlay = pp[1] ? parseYesNo(pp[1]) ?? true : true;
+    found = true;
+  }
+  const dp = /double\s*play\s*[:=-]?\s*(yes|no|y|n|on|off|true|false)?/i.exec(
+    text
+  );
+  if (dp) {
+    meta.doublePlay = dp[1] ? parseYesNo(dp[1]) ?? true : true;
+    found = true;
+  }
+  const count =
+    /(?:number of draws|no\.? of draws|draws|multi[-\s]?draws?|consecutive draws)\s*[:=#-]?\s*(\d{1,3})\b/i.exec(
+      stripDates(text)
+    ) ?? /\b(\d{1,3})\s+(?:consecutive\s+)?draws\b/i.exec(stripDates(text));
+  if (count) {
+    meta.drawCount = Number(count[1]);
+    found = true;
+  }
+  if (/draw|date/.test(lower)) {
+    const { dates, range } = readDates(text);
+    if (dates.length > 0) {
+      meta.dates = dates;
+      meta.range = range;
+      found = true;
+    }
+  }
+  return found;
+}
+
+function textRows(lines) {
+  const plays = [];
+  const meta = {
+    dates: [],
+    range: false,
+    drawCount: null,
+    powerPlay: false,
+    doublePlay: false,
+  };
+  let sawMeta = false;
+  // Plays listed before the ticket's details (most emails put the numbers
+  // first) pick up those details once the next play or the end arrives.
+  let waiting = [];
+  const settle = () => {
+    for (const play of waiting) play.meta = { ...meta };
+    waiting = [];
+  };
+
+  for (const raw of lines) {
+    const text = raw.trim();
+    if (!text) continue;
+    const body = stripDates(text);
+    const isPlay = isPlayLine(body) || /^[\d\s,\-+]+$/.test(body.trim());
+    if (!isPlay) {
+      if (readMeta(text, meta)) sawMeta = true;
+      continue;
+    }
+    if (sawMeta) settle();
+    const nums = (stripPlayLabel(body).match(/\d+/g) ?? []).map(Number);
+    // A date on the play line itself ("10/15/2025 4 15 22 11 21 10") wins.
+    const own = readDates(text);
+    const play = { raw: text, nums, own, meta: null };
+    plays.push(play);
+    if (sawMeta) play.meta = { ...meta };
+    else waiting.push(play);
+  }
+  settle();
+
+  return plays.map(({ raw, nums, own, meta: details }) =>
+    finishRow(
+      raw,
+      validateLineNumbers(nums),
+      own.dates.length > 0 ? { ...details, ...own, drawCount: null } : details
+    )
+  );
+}
+
+/**
+ * Parse an imported file (or pasted text). The format comes from the file
+ * name when there is one, otherwise from the content. Returns
+ * { format: "json" | "csv" | "text", rows }.
+ */
+export function parseTicketImport(text, fileName = "") {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const name = fileName.toLowerCase();
+  const trimmed = source.trim();
+
+  if (name.endsWith(".json") || /^[[{]/.test(trimmed)) {
+    try {
+      return { format: "json", rows: jsonRows(JSON.parse(trimmed)) };
+    } catch {
+      if (name.endsWith(".json")) {
+        return {
+          format: "json",
+          rows: [{ raw: "(file)", ok: false, error: "Not valid JSON." }],
+        };
+      }
+    }
+  }
+
+  const lines = source.split(/\r?\n/).filter((l) => l.trim());
+  const looksCsv =
+    name.endsWith(".csv") ||
+    (!name.endsWith(".txt") &&
+      !name.endsWith(".eml") &&
+      lines.length > 0 &&
+      lines.every((l) => splitCsvLine(l).length >= 2) &&
+      lines.some((l) => splitCsvLine(l).length >= MAIN_COUNT + 1));
+  if (looksCsv) return { format: "csv", rows: csvRows(lines) };
+  return { format: "text", rows: textRows(lines) };
+}
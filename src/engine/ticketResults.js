@@ -0,0 +1,134 @@
+// Check saved tickets against the draws they were bought for. Results are kept
+// on the ticket (`results`, one entry per checked draw date) so each draw is
+// only scored once and the history survives reloads.
+
+import { DOUBLE_PLAY_START } from "./constants.js";
+import { drawDateMs, isoDay } from "./dates.js";
+import { computeDoublePlayPrize, computePrize, scoreLine } from "./prizes.js";
+
+// YYYY-MM-DD -> draw, for the draws that have a date.
+export function indexDrawsByDate(draws) {
+  const byDate = new Map();
+  for (const draw of draws ?? []) {
+    const day = isoDay(drawDateMs(draw));
+    if (day && !byDate.has(day)) byDate.set(day, draw);
+  }
+  return byDate;
+}
+
+// The lines that won against one set of winning numbers.
+function scoreLines(lines, winning, prizeFor) {
+  const wins = [];
+  let winnings = 0;
+  let jackpot = false;
+  lines.forEach((line, index) => {
+    const { whiteMatches, pbMatch, tier } = scoreLine(line, winning);
+    const amount = prizeFor(whiteMatches, pbMatch);
+    if (amount === "JACKPOT") {
+      jackpot = true;
+      wins.push({ line: index, tier, prize: "JACKPOT" });
+    } else if (amount > 0) {
+      winnings += amount;
+      wins.push({ line: index, tier, prize: amount });
+    }
+  });
+  return { wins, winnings, jackpot };
+}
+
+/**
+ * Score every line of a ticket against one draw. `wins` only lists lines that
+ * won something; `winnings` excludes the jackpot (flagged separately, since
+ * its cash value isn't known here) and includes any Double Play winnings.
+ * For Double Play tickets, `doublePlay` holds that drawing's { winning,
+ * winnings, wins }; it's null while those numbers aren't known yet (and for
+ * tickets without Double Play).
+ */
+export function scoreTicketDraw(ticket, draw, drawDate) {
+  const multiplier = ticket.powerPlay ? draw.multiplier ?? null : null;
+  const main = scoreLines(ticket.lines, draw, (white, pb) => {
+    const prize = computePrize(white, pb, multiplier);
+    return prize.withPowerPlay ?? prize.base;
+  });
+
+  let doublePlay = null;
+  if (ticket.doublePlay) {
+    doublePlay = Array.isArray(draw.doublePlay?.main)
+      ? {
+          winning: {
+            main: [...draw.doublePlay.main],
+            powerball: draw.doublePlay.powerball,
+          },
+          ...scoreLines(ticket.lines, draw.doublePlay, computeDoublePlayPrize),
+        }
+      : null;
+  }
+
+  return {
+    drawDate,
+    winning: { main: [...draw.main], powerball: draw.powerball },
+    multiplier: draw.multiplier ?? null,
+    winnings: main.winnings + (doublePlay?.winnings ?? 0),
+    jackpot: main.jackpot,
+    wins: main.wins,
+    doublePlay,
+    seen: false,
+  };
+}
+
+/**
+ * New results for draw dates that now have a draw but haven't been checked,
+ * plus re-checks of Double Play tickets whose Double Play numbers have come
+ * in since. Results replace any earlier one for the same date. Returns []
+ * when there's nothing new.
+ */
+export function newTicketResults(ticket, drawsByDate) {
+  const checked = new Map((ticket.results ?? []).map((r) => [r.drawDate, r]));
+  const out = [];
+  for (const day of ticket.drawDates ?? []) {
+    const draw = drawsByDate.get(day);
+    if (!draw) continue;
+    const previous = checked.get(day);
+    const doublePlayArrived =
+      ticket.doublePlay &&
+      previous &&
+      !previous.doublePlay &&
+      Array.isArray(draw.doublePlay?.main);
+    if (!previous || doublePlayArrived) {
+      out.push(scoreTicketDraw(ticket, draw, day));
+    }
+  }
+  return out;
+}
+
+// `results` with `fresh` added, replacing any earlier result for the same draw
+// date (re-checks when Double Play numbers arrive late), oldest first.
+export function mergeTicketResults(results, fresh) {
+  const freshDates = new Set(fresh.map((r) => r.drawDate));
+  return [
+    ...(results ?? []).filter((r) => !freshDates.has(r.drawDate)),
+    ...fresh,
+  ].sort((a, b) => a.drawDate.localeCompare(b.drawDate));
+}
+
+// "won" once any checked draw paid, "lost" once every draw is checked without
+// a win, otherwise "pending". A Double Play draw only counts as checked once
+// its Double Play numbers are in (or it predates Double Play).
+export function ticketStatus(ticket) {
+  const results = ticket.results ?? [];
+  const winnings = results.reduce((acc, r) => acc + r.winnings, 0);
+  const jackpot = results.some((r) => r.jackpot);
+  const won = jackpot || winnings > 0;
+  const total = ticket.drawDates?.length ?? 0;
+  const settled = (r) =>
+    !ticket.doublePlay ||
+    r.doublePlay != null ||
+    r.drawDate < DOUBLE_PLAY_START;
+  const done = total > 0 && results.length >= total && results.every(settled);
+  return {
+    state: won ? "won" : done ? "lost" : "pending",
+    winnings,
+    jackpot,
+    checked: results.length,
+    total,
+  };
+}
@@ -0,0 +1,141 @@
+// Saved tickets: the lines someone actually played (or plans to), which draws
+// they cover, and what they cost. Storage lives in ../ticketStore.js; this is
+// the pure shape/validation side.
+
+import {
+  DOUBLE_PLAY_PRICE,
+  MAIN_COUNT,
+  MAIN_MAX,
+  PB_MAX,
+  POWER_PLAY_PRICE,
+  TICKET_PRICE,
+} from "./constants.js";
+
+// Powerball draws on Monday, Wednesday and Saturday.
+export const DRAW_WEEKDAYS = [1, 3, 6];
+// Multi-draw limits vary by state; 52 draws is about four months of play.
+export const MAX_TICKET_DRAWS = 52;
+export const MAX_TAG_LENGTH = 24;
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isDrawDay(iso) {
+  if (!ISO_DAY.test(String(iso ?? ""))) return false;
+  const ms = Date.parse(`${iso}T12:00:00Z`);
+  return (
+    Number.isFinite(ms) && DRAW_WEEKDAYS.includes(new Date(ms).getUTCDay())
+  );
+}
+
+// `count` consecutive draw dates (YYYY-MM-DD) starting on or after `startIso`.
+export function drawDatesFrom(startIso, count) {
+  const start = Date.parse(`${startIso}T12:00:00Z`);
+  if (!Number.isFinite(start)) return [];
+  const out = [];
+  for (let ms = start; out.length < count; ms += 86400000) {
+    const d = new Date(ms);
+    if (DRAW_WEEKDAYS.includes(d.getUTCDay())) {
+      out.push(d.toISOString().slice(0, 10));
+    }
+  }
+  return out;
+}
+
+// Every draw date from `fromIso` through `toIso`, inclusive.
+export function drawDatesBetween(fromIso, toIso) {
+  if (!ISO_DAY.test(fromIso ?? "") || !ISO_DAY.test(toIso ?? "")) return [];
+  if (fromIso > toIso) return [];
+  const out = [];
+  for (const day of drawDatesFrom(fromIso, MAX_TICKET_DRAWS * 4)) {
+    if (day > toIso) break;
+    out.push(day);
+  }
+  return out;
+}
+
+// Price of one line for one draw with the chosen add-ons.
+export function linePrice(powerPlay, doublePlay = false) {
+  return (
+    TICKET_PRICE +
+    (powerPlay ? POWER_PLAY_PRICE : 0) +
+    (doublePlay ? DOUBLE_PLAY_PRICE : 0)
+  );
+}
+
+export function ticketCost(lineCount, drawCount, powerPlay, doublePlay) {
+  return lineCount * drawCount * linePrice(powerPlay, doublePlay);
+}
+
+// "family, office pool" -> ["family", "office pool"], deduped case-insensitively.
+export function parseTags(text) {
+  const seen = new Map();
+  for (const part of String(text ?? "").split(",")) {
+    const tag = part.trim().slice(0, MAX_TAG_LENGTH);
+    if (tag && !seen.has(tag.toLowerCase())) seen.set(tag.toLowerCase(), tag);
+  }
+  return [...seen.values()];
+}
+
+function isValidLine(line) {
+  const main = line?.main;
+  return (
+    Array.isArray(main) &&
+    main.length === MAIN_COUNT &&
+    new Set(main).size === MAIN_COUNT &&
+    main.every((n) => Number.isInteger(n) && n >= 1 && n <= MAIN_MAX) &&
+    Number.isInteger(line.powerball) &&
+    line.powerball >= 1 &&
+    line.powerball <= PB_MAX
+  );
+}
+
+/**
+ * Clean up a ticket before saving (or after loading): keeps only complete
+ * lines, sorts and dedupes draw dates, and recomputes the cost. Returns null
+ * when nothing playable is left.
+ */
+export function normalizeTicket(ticket) {
+  const lines = (ticket?.lines ?? []).filter(isValidLine).map((line) => ({
+    main: [...line.main].sort((a, b) => a - b),
+    powerball: line.powerball,
+  }));
+  if (!ticket?.id || lines.length === 0) return null;
+
+  const drawDates = [
+    ...new Set((ticket.drawDates ?? []).filter((d) => ISO_DAY.test(d))),
+  ].sort();
+  const powerPlay = Boolean(ticket.powerPlay);
+  const doublePlay = Boolean(ticket.doublePlay);
+  const now = new Date().toISOString();
+
+  return {
+    ...ticket,
+    id: String(ticket.id),
+    name: String(ticket.name ?? "").trim() || "Untitled ticket",
+    lines,
+    drawDates,
+    powerPlay,
+    doublePlay,
+    tags: Array.isArray(ticket.tags) ? parseTags(ticket.tags.join(",")) : [],
+    cost: ticketCost(lines.length, drawDates.length, powerPlay, doublePlay),
+    // Checked draws (see ticketResults.js); dates no longer on the ticket drop.
+    results: (Array.isArray(ticket.results) ? ticket.results : []).filter(
+      (r) => r && drawDates.includes(r.drawDate)
+    ),
+    createdAt: ticket.createdAt ?? now,
+    updatedAt: ticket.updatedAt ?? now,
+  };
+}
+
+export function newTicketId() {
+  return `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Every tag in use, alphabetically.
+export function allTags(tickets) {
+  const tags = new Map();
+  for (const t of tickets ?? []) {
+    for (const tag of t.tags ?? []) tags.set(tag.toLowerCase(), tag);
+  }
+  return [...tags.values()].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,188 @@
+// Lottery wheels: turn a pool of favorite main numbers into a set of lines.
+//
+// A full wheel plays every 5-number combination of the pool. An abbreviated
+// wheel only guarantees "match if drawn": if `ifDrawn` of the 5 winning white
+// balls are in the pool, at least one line holds `match` of them. Finding the
+// true minimum is a covering-design problem (NP-hard), so we build it greedily
+// and then prune redundant lines, which lands at or near the known minimums for
+// the pool sizes people actually play.
+
+import {
+  MAIN_COUNT,
+  MAIN_MAX,
+  PB_MAX,
+  clampNumber,
+  pbBaseWeights,
+  pickOneBlended,
+} from "./generator.js";
+import { createRng } from "./random.js";
+
+export const WHEEL_MIN_POOL = 6;
+export const WHEEL_MAX_POOL = 15;
+// Above this we still quote the size/cost but won't render the lines.
+export const WHEEL_MAX_LINES = 300;
+
+export const WHEEL_GUARANTEES = [
+  { match: 3, ifDrawn: 3 },
+  { match: 3, ifDrawn: 4 },
+  { match: 3, ifDrawn: 5 },
+  { match: 4, ifDrawn: 4 },
+  { match: 4, ifDrawn: 5 },
+];
+
+export function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= Math.min(k, n - k); i++) {
+    result = (result * (n - i + 1)) / i;
+  }
+  return Math.round(result);
+}
+
+export function combinations(items, k) {
+  const out = [];
+  const combo = [];
+
+  const walk = (start) => {
+    if (combo.length === k) {
+      out.push([...combo]);
+      return;
+    }
+    for (let i = start; i <= items.length - (k - combo.length); i++) {
+      combo.push(items[i]);
+      walk(i + 1);
+      combo.pop();
+    }
+  };
+
+  walk(0);
+  return out;
+}
+
+function normalizePool(pool) {
+  return [...new Set(pool)]
+    .filter((n) => Number.isInteger(n) && n >= 1 && n <= MAIN_MAX)
+    .sort((a, b) => a - b);
+}
+
+export function validateWheel({ pool, full, match, ifDrawn }) {
+  const nums = normalizePool(pool ?? []);
+  if (nums.length < WHEEL_MIN_POOL || nums.length > WHEEL_MAX_POOL) {
+    return `Pick ${WHEEL_MIN_POOL}–${WHEEL_MAX_POOL} pool numbers (you have ${nums.length}).`;
+  }
+  if (full) return null;
+  if (
+    !WHEEL_GUARANTEES.some((g) => g.match === match && g.ifDrawn === ifDrawn)
+  ) {
+    return "Choose a supported guarantee.";
+  }
+  return null;
+}
+
+export function fullWheel(pool) {
+  return combinations(normalizePool(pool), MAIN_COUNT);
+}
+
+export function abbreviatedWheel(pool, match, ifDrawn) {
+  const nums = normalizePool(pool);
+  const lines = combinations(nums, MAIN_COUNT);
+  if (match >= MAIN_COUNT && ifDrawn >= MAIN_COUNT) return lines;
+
+  // Work on bitmasks of pool positions; the pool is at most 15 numbers.
+  const positions = nums.map((_, i) => i);
+  const toMask = (idxs) => idxs.reduce((m, i) => m | (1 << i), 0);
+
+  // Every ifDrawn-subset of the pool is a "target" that some line must hit on
+  // at least `match` numbers.
+  const targetMasks = combinations(positions, ifDrawn).map(toMask);
+  const targetIndex = new Int32Array(1 << nums.length).fill(-1);
+  targetMasks.forEach((mask, ti) => {
+    targetIndex[mask] = ti;
+  });
+
+  // coveredBy[line] = targets that line satisfies; linesFor[target] = reverse.
+  const lineIdxs = combinations(positions, MAIN_COUNT);
+  const coveredBy = lineIdxs.map(() => []);
+  const linesFor = targetMasks.map(() => []);
+  lineIdxs.forEach((line, li) => {
+    const inLine = new Set(line);
+    const outside = positions.filter((i) => !inLine.has(i));
+    for (let k = Math.max(match, ifDrawn - outside.length); k <= ifDrawn; k++) {
+      const outsideMasks = combinations(outside, ifDrawn - k).map(toMask);
+      for (const fromLine of combinations(line, k)) {
+        const lineMask = toMask(fromLine);
+        for (const outsideMask of outsideMasks) {
+          const ti = targetIndex[lineMask | outsideMask];
+          coveredBy[li].push(ti);
+          linesFor[ti].push(li);
+        }
+      }
+    }
+  });
+
+  // Greedy: repeatedly take the line that covers the most uncovered targets.
+  const gain = coveredBy.map((ts) => ts.length);
+  const covered = new Array(targetMasks.length).fill(false);
+  let remaining = targetMasks.length;
+  const chosen = [];
+
+  while (remaining > 0) {
+    let best = 0;
+    for (let li = 1; li < lines.length; li++) {
+      if (gain[li] > gain[best]) best = li;
+    }
+    chosen.push(best);
+    for (const ti of coveredBy[best]) {
+      if (covered[ti]) continue;
+      covered[ti] = true;
+      remaining--;
+      for (const li of linesFor[ti]) gain[li]--;
+    }
+  }
+
+  // Prune: drop any line whose targets are all covered by another chosen line.
+  const coverCount = new Array(targetMasks.length).fill(0);
+  for (const li of chosen) for (const ti of coveredBy[li]) coverCount[ti]++;
+  const kept = [];
+  for (const li of [...chosen].reverse()) {
+    if (coveredBy[li].every((ti) => coverCount[ti] > 1)) {
+      for (const ti of coveredBy[li]) coverCount[ti]--;
+    } else {
+      kept.push(li);
+    }
+  }
+
+  return kept.sort((a, b) => a - b).map((li) => lines[li]);
+}
+
+export function buildWheel({ pool, full, match, ifDrawn }) {
+  return full ? fullWheel(pool) : abbreviatedWheel(pool, match, ifDrawn);
+}
+
+/**
+ * Turn wheel main-number lines into full picks. Powerballs cycle through the
+ * locked candidates when there are any; otherwise each line gets one drawn with
+ * the current strategy/randomness from a seeded RNG, so it replays exactly.
+ * Excluded Powerballs are never used.
+ */
+export function assignPowerballs(
+  lines,
+  { analysis, strategy, randomness, powerballLocked, powerballExcluded, seed }
+) {
+  const excluded = new Set(powerballExcluded ?? []);
+  const candidates = (powerballLocked ?? []).filter((n) => !excluded.has(n));
+  const rng = createRng(seed);
+  const weights = pbBaseWeights(analysis, strategy);
+  const alpha = clampNumber(randomness, 0, 100) / 100;
+  const allPb = Array.from({ length: PB_MAX }, (_, i) => i + 1).filter(
+    (n) => !excluded.has(n)
+  );
+
+  return lines.map((main, i) => ({
+    main: [...main],
+    powerball:
+      candidates.length > 0
+        ? candidates[i % candidates.length]
+        : pickOneBlended(allPb, weights, alpha, rng),
+  }));
+}
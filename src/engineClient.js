@@ -0,0 +1,81 @@
+// Runs engine jobs (see engine/jobs.js) in a Web Worker so big batches,
+// analysis and backtests don't freeze the page.
+//
+// runEngineJob returns { promise, cancel }. cancel() asks cooperative jobs
+// (backtests) to stop and resolve with what they have; everything else is
+// terminated outright and the promise rejects with a CancelledError.
+
+import { runJob } from "./engine/jobs.js";
+
+// Jobs that check an abort signal between steps and return partial results.
+const COOPERATIVE_JOBS = new Set(["backtest"]);
+
+export class CancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "CancelledError";
+  }
+}
+
+function runInline(job, payload, onProgress) {
+  const controller = new AbortController();
+  let cancelled = false;
+  const promise = runJob(job, payload, {
+    onProgress,
+    signal: controller.signal,
+  }).then((result) => {
+    if (cancelled && !COOPERATIVE_JOBS.has(job)) throw new CancelledError();
+    return result;
+  });
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      controller.abort();
+    },
+  };
+}
+
+export function runEngineJob(job, payload, { onProgress } = {}) {
+  if (typeof Worker === "undefined") {
+    return runInline(job, payload, onProgress);
+  }
+
+  const worker = new Worker(
+    new URL("./engine/engine.worker.js", import.meta.url),
+    { type: "module" }
+  );
+  let settle = null;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    worker.onmessage = (event) => {
+      const msg = event.data ?? {};
+      if (msg.type === "progress") {
+        onProgress?.(msg.done, msg.total);
+        return;
+      }
+      worker.terminate();
+      if (msg.type === "result") resolve(msg.result);
+      else reject(new Error(msg.message || "Job failed"));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event?.message || "Worker failed"));
+    };
+  });
+
+  worker.postMessage({ type: "run", job, payload });
+
+  return {
+    promise,
+    cancel: () => {
+      if (COOPERATIVE_JOBS.has(job)) {
+        worker.postMessage({ type: "cancel" });
+        return;
+      }
+      worker.terminate();
+      settle.reject(new CancelledError());
+    },
+  };
+}
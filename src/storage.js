@@ -0,0 +1,20 @@
+// Small localStorage helpers. Storage can be missing, blocked or full (private
+// browsing, quotas), so reads fall back to a default and writes fail quietly.
+
+export function loadJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
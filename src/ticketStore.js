@@ -0,0 +1,119 @@
+// "My Tickets" storage in IndexedDB. Tickets can hold thousands of lines and
+// results history, which is more than localStorage comfortably takes. Every
+// call rejects if IndexedDB is missing or blocked; callers show the error.
+
+import { mergeTicketResults } from "./engine/ticketResults.js";
+import { normalizeTicket } from "./engine/tickets.js";
+
+const DB_NAME = "powerball";
+const DB_VERSION = 1;
+const TICKETS = "tickets";
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("This browser can't store tickets."));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(TICKETS)) {
+        db.createObjectStore(TICKETS, { keyPath: "id" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error("Close other tabs of this site and try again."));
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+// `fn` gets the object store and returns a request, or a promise for work that
+// chains several requests inside the same transaction.
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(TICKETS, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  // Await both together so a failed request doesn't leave `done` rejecting
+  // with nobody listening.
+  const pending = fn(tx.objectStore(TICKETS));
+  const [result] = await Promise.all([
+    pending instanceof Promise ? pending : requestToPromise(pending),
+    done,
+  ]);
+  return result;
+}
+
+// Newest first.
+export async function listTickets() {
+  const rows = await withStore("readonly", (store) => store.getAll());
+  return rows
+    .map(normalizeTicket)
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Saves (inserts or replaces) a ticket and returns the stored version.
+export async function putTicket(ticket) {
+  const clean = normalizeTicket({
+    ...ticket,
+    updatedAt: new Date().toISOString(),
+  });
+  if (!clean) throw new Error("A ticket needs at least one complete line.");
+  await withStore("readwrite", (store) => store.put(clean));
+  return clean;
+}
+
+export async function deleteTicket(id) {
+  await withStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Adds freshly checked `results` to a stored ticket. The read and the write
+ * share one transaction, so an edit or delete made since the check started
+ * isn't overwritten. Resolves with the saved ticket, or null if it's gone.
+ */
+export async function updateTicketResults(id, fresh) {
+  return withStore(
+    "readwrite",
+    (store) =>
+      new Promise((resolve, reject) => {
+        const get = store.get(id);
+        get.onerror = () => reject(get.error);
+        get.onsuccess = () => {
+          const ticket =
+            get.result &&
+            normalizeTicket({
+              ...get.result,
+              results: mergeTicketResults(get.result.results, fresh),
+              updatedAt: new Date().toISOString(),
+            });
+          if (!ticket) {
+            resolve(null);
+            return;
+          }
+          const put = store.put(ticket);
+          put.onsuccess = () => resolve(ticket);
+          put.onerror = () => reject(put.error);
+        };
+      })
+  );
+}
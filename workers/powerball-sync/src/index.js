@@ -6,6 +6,15 @@ const KV_META_KEY = "powerball:meta:v1";
 const KV_JACKPOT_KEY = "powerball:jackpot:v1";
 const KV_COUNTER_KEY = "powerball:counter:v1";
 
+// Powerball matrix changes, newest first. The NY dataset starts in 2010, so
+// older draws use smaller main/Powerball ranges than today's game.
+const GAME_ERAS = [
+  { id: "2015-10", start: "2015-10-07", mainMax: 69, pbMax: 26 },
+  { id: "2012-01", start: "2012-01-15", mainMax: 59, pbMax: 35 },
+  { id: "2009-01", start: "2009-01-07", mainMax: 59, pbMax: 39 },
+];
+const CURRENT_ERA = GAME_ERAS[0];
+
 function jsonResponse(body, init = {}) {
   const headers = new Headers(init.headers);
   if (!headers.has("Content-Type")) {
@@ -71,6 +80,85 @@ function parseWinningNumbers(winningNumbers) {
   return { main, powerball };
 }
 
+function eraForDrawDate(drawDate) {
+  const day = drawDate ? new Date(drawDate).toISOString().split("T")[0] : null;
+  // Undated draws only come from the latest-draw scrape, so they're current.
+  if (!day) return CURRENT_ERA;
+  return GAME_ERAS.find((era) => day >= era.start) ?? null;
+}
+
+// Tag a draw with its game era and flag numbers that don't fit today's
+// 69/26 matrix, so clients can keep old-era draws out of current-game stats.
+function withEra(draw) {
+  let era = null;
+  try {
+    era = eraForDrawDate(draw.drawDate);
+  } catch {
+    // Unparseable date: leave the era unknown
+  }
+  const outOfMatrix =
+    draw.main.some((n) => n < 1 || n > CURRENT_ERA.mainMax) ||
+    !(draw.powerball >= 1 && draw.powerball <= CURRENT_ERA.pbMax);
+  return { ...draw, era: era?.id ?? null, outOfMatrix };
+}
+
+// Double Play has its own drawing, shown on powerball.com in a section after
+// the main winning numbers with the same white-balls / powerball markup.
+// `mainDraw` guards against a "Double Play" link earlier on the page picking
+// up the main numbers instead.
+export function extractDoublePlayFromHtml(html, mainDraw = null) {
+  const text = String(html ?? "");
+  for (const m of text.matchAll(/double\s*play/gi)) {
+    const section = text.slice(m.index, m.index + 3000);
+    const main = [];
+    let lastBallEnd = 0;
+    for (const ball of section.matchAll(/white-balls[^>]*>(\d{1,2})</gi)) {
+      const n = Number.parseInt(ball[1], 10);
+      if (n >= 1 && n <= 69 && !main.includes(n)) main.push(n);
+      lastBallEnd = ball.index + ball[0].length;
+      if (main.length === 5) break;
+    }
+    if (main.length !== 5) continue;
+
+    // The Powerball that follows these five white balls.
+    const pbMatch = section
+      .slice(lastBallEnd)
+      .match(/<div[^>]*class="[^"]*\bpowerball\b[^"]*"[^>]*>(\d{1,2})</i);
+    const powerball = pbMatch ? Number.parseInt(pbMatch[1], 10) : null;
+    if (!(powerball >= 1 && powerball <= 26)) continue;
+    const sameAsMain =
+      mainDraw &&
+      powerball === mainDraw.powerball &&
+      main.every((n) => mainDraw.main.includes(n));
+    if (!sameAsMain) return { main, powerball };
+  }
+  return null;
+}
+
+// Double Play numbers only come from the powerball.com scrape (the NY dataset
+// doesn't have them), so keep the ones already stored when the dataset is
+// reloaded, and attach the latest scrape's to its draw.
+function withDoublePlay(draws, storedDraws, latest) {
+  const dayOf = (drawDate) =>
+    drawDate ? new Date(drawDate).toISOString().split("T")[0] : null;
+  const byDay = new Map();
+  for (const draw of storedDraws ?? []) {
+    const day = dayOf(draw.drawDate);
+    if (day && draw.doublePlay) byDay.set(day, draw.doublePlay);
+  }
+  const latestDay = dayOf(latest?.drawDate);
+  if (latestDay && latest.doublePlay) byDay.set(latestDay, latest.doublePlay);
+
+  let added = false;
+  const out = draws.map((draw) => {
+    const doublePlay = byDay.get(dayOf(draw.drawDate));
+    if (!doublePlay || draw.doublePlay) return draw;
+    added = true;
+    return { ...draw, doublePlay };
+  });
+  return { draws: out, added };
+}
+
 async function fetchLatestDrawFromPowerballCom(env) {
   try {
     const res = await fetch("https://www.powerball.com/", {
@@ -460,6 +548,7 @@ async function fetchLatestDrawFromPowerballCom(env) {
       main: winningNumbers.main,
       powerball: winningNumbers.powerball,
       multiplier,
+      doublePlay: extractDoublePlayFromHtml(html, winningNumbers),
     };
   } catch (e) {
     console.error("Failed to fetch latest draw from powerball.com:", e);
@@ -601,11 +690,11 @@ async function syncLatestDraws(env) {
 
   let draws = [];
   let jsonUpdated = false;
+  // Also needed on a fresh download, to carry Double Play numbers over.
+  const stored = await env.POWERBALL_KV.get(KV_DRAWS_KEY, "json");
 
   if (res.status === 304) {
     // JSON hasn't changed, but we still need to check powerball.com for newer results
-    // Load existing draws from KV
-    const stored = await env.POWERBALL_KV.get(KV_DRAWS_KEY, "json");
     if (stored?.draws) {
       draws = stored.draws;
     }
@@ -711,6 +800,10 @@ async function syncLatestDraws(env) {
     }
   }
 
+  const carried = withDoublePlay(draws, stored?.draws, powerballComDraw);
+  draws = carried.draws;
+  if (carried.added) wasUpdated = true;
+
   // Find the latest draw (after potentially adding powerball.com draw)
   const latestDraw = draws.length > 0 ? draws[0] : null;
   const latestDrawDate = latestDraw?.drawDate
@@ -736,7 +829,7 @@ async function syncLatestDraws(env) {
   if (wasUpdated || latestDrawDate !== lastDrawDate) {
     await env.POWERBALL_KV.put(
       KV_DRAWS_KEY,
-      JSON.stringify({ draws, updatedAt: now })
+      JSON.stringify({ draws: draws.map(withEra), updatedAt: now })
     );
     await env.POWERBALL_KV.put(
       KV_META_KEY,
@@ -801,6 +894,10 @@ function computePrize(whiteMatches, pbMatch, powerPlayMultiplier) {
   return { base, withPowerPlay: base * validM };
 }
 
+// Inserts per D1 batch; big generated sets would otherwise mean thousands of
+// separate round-trips.
+const SAVE_PICKS_BATCH_SIZE = 100;
+
 async function savePicks(env, picks) {
   if (!Array.isArray(picks) || picks.length === 0) {
     return { saved: 0 };
@@ -809,26 +906,29 @@ async function savePicks(env, picks) {
   const now = new Date().toISOString();
   let saved = 0;
 
-  for (const pick of picks) {
-    if (
-      !pick ||
-      !Array.isArray(pick.main) ||
-      pick.main.length !== 5 ||
-      typeof pick.powerball !== "number"
-    ) {
-      continue;
-    }
+  const valid = picks.filter(
+    (pick) =>
+      pick &&
+      Array.isArray(pick.main) &&
+      pick.main.length === 5 &&
+      typeof pick.powerball === "number"
+  );
 
+  for (let i = 0; i < valid.length; i += SAVE_PICKS_BATCH_SIZE) {
+    const chunk = valid.slice(i, i + SAVE_PICKS_BATCH_SIZE);
     try {
-      await env.powerball_picks
-        .prepare(
-          `INSERT INTO picks (main_numbers, powerball, generated_at) VALUES (?, ?, ?)`
+      await env.powerball_picks.batch(
+        chunk.map((pick) =>
+          env.powerball_picks
+            .prepare(
+              `INSERT INTO picks (main_numbers, powerball, generated_at) VALUES (?, ?, ?)`
+            )
+            .bind(JSON.stringify(pick.main), pick.powerball, now)
         )
-        .bind(JSON.stringify(pick.main), pick.powerball, now)
-        .run();
-      saved++;
+      );
+      saved += chunk.length;
     } catch (e) {
-      console.error("Failed to save pick:", e);
+      console.error("Failed to save picks:", e);
     }
   }
 